@@ -0,0 +1,67 @@
+// Demo-only stand-ins for the server behind the sign up form in index.html.
+// A real page would drop this file and point the form's action at its own endpoint.
+(function() {
+    'use strict';
+
+    const endpoint = '/api/signup';
+    const nativeFetch = window.fetch ? window.fetch.bind(window) : null;
+    let failedOnce = false;
+
+    function wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    function jsonResponse(status, data) {
+        return new Response(JSON.stringify(data), {
+            status,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    function readBody(body) {
+        if (typeof body === 'string') {
+            try {
+                return JSON.parse(body);
+            } catch (error) {
+                return Object.fromEntries(new URLSearchParams(body));
+            }
+        }
+        return Object.fromEntries(new URLSearchParams(body));
+    }
+
+    // Name "Offline" fails once with a network error, an example.com email is
+    // rejected with a field error, and everything else succeeds
+    async function mockSignup(body) {
+        const data = readBody(body);
+        await wait(800);
+
+        if (String(data.name).toLowerCase() === 'offline' && !failedOnce) {
+            failedOnce = true;
+            throw new TypeError('Failed to fetch');
+        }
+
+        if (/@example\.com$/i.test(data.email)) {
+            return jsonResponse(422, {
+                errors: { email: 'An account with this email address already exists' }
+            });
+        }
+
+        return jsonResponse(200, { message: `Thanks, ${data.name}! Your account on the ${data.plan} plan has been created.` });
+    }
+
+    window.fetch = function(resource, init = {}) {
+        const url = new URL(resource instanceof Request ? resource.url : resource, document.baseURI);
+        if (url.pathname.endsWith(endpoint) && (init.method || 'GET').toUpperCase() === 'POST') {
+            return mockSignup(init.body);
+        }
+        if (!nativeFetch) {
+            return Promise.reject(new TypeError('fetch is not available'));
+        }
+        return nativeFetch(resource, init);
+    };
+
+    // Stands in for a server-side availability check
+    AccessibleUI.addValidator('username-available', value => wait(300).then(() => (
+        ['admin', 'root'].includes(value.toLowerCase()) ? 'That username is already taken' : true
+    )));
+})();
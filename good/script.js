@@ -7,18 +7,123 @@
 const AccessibleUI = (function() {
     'use strict';
 
-    // Cache DOM queries and commonly used values
+    // Declarative markers used to discover widgets; options are read from data-aui-* attributes
     const selectors = {
         mainContent: '.main-content',
-        dropdownButton: '#info-menu-button',
-        submenu: '#info-submenu',
-        mobileToggle: '.mobile-menu-toggle',
-        navigation: '.global-navigation',
-        tablist: '[role="tablist"]'
+        menuButton: '[data-aui="menu-button"]',
+        navToggle: '[data-aui="nav-toggle"]',
+        navigation: '[data-aui="navigation"]',
+        tabs: '[data-aui="tabs"]',
+        disclosure: '[data-aui="disclosure"]',
+        dialog: '[data-aui="dialog"]',
+        dialogClose: '[data-aui-dialog-close]',
+        form: '[data-aui="form"]',
+        table: '[data-aui="table"]',
+        checkboxGroup: '[data-aui="checkbox-group"]',
+        radioGroup: '[data-aui="radio-group"]',
+        tooltip: '[data-aui="tooltip"]'
     };
 
+    // Live region announcer configuration
+    const announcerConfig = {
+        regionClass: 'visually-hidden',
+        queueDelay: 150, // Gap between messages so screen readers register each change
+        clearDelay: 5000, // Clear regions so stale text isn't found by the virtual cursor
+        dedupeWindow: 1000, // Ignore identical messages repeated within this window
+        debounceDelay: 400 // Wait for rapid messages to settle before announcing
+    };
+
+    // Announcer state shared by all widgets
+    const announcer = {
+        regions: {},
+        queue: [],
+        isProcessing: false,
+        lastMessage: '',
+        lastAnnouncedAt: 0,
+        clearTimer: null,
+        debounceTimers: {}
+    };
+
+    // Prefix for the CustomEvents every widget dispatches
+    const EVENT_PREFIX = 'accessibleui:';
+
+    // Counter behind generateId()
+    let idCounter = 0;
+
+    // Widget instances keyed by their root element
+    const instances = new Map();
+
+    // Widget initializers run by scan(); menus come before the navigation that switches them to disclosure mode
+    const widgetInitializers = [
+        initDropdownMenus,
+        initMobileMenus,
+        initDialogs,
+        initDisclosureWidgets,
+        initTooltips,
+        initTabWidgets,
+        initTables,
+        initFormValidation,
+        initCheckboxGroups,
+        initRadioGroups
+    ];
+
+    // Any element one of the initializers sets up, so added content without widgets is not scanned
+    const widgetSelector = [
+        selectors.menuButton,
+        selectors.navToggle,
+        selectors.dialog,
+        selectors.disclosure,
+        selectors.tooltip,
+        selectors.tabs,
+        selectors.table,
+        selectors.form,
+        selectors.checkboxGroup,
+        selectors.radioGroup
+    ].join(',');
+
+    // Set once init() has run, so a second call does nothing
+    let initialized = false;
+
+    // Elements that can receive keyboard focus, before visibility filtering
+    const focusableSelector = [
+        'a[href]',
+        'area[href]',
+        'button:not([disabled])',
+        'input:not([disabled]):not([type="hidden"])',
+        'select:not([disabled])',
+        'textarea:not([disabled])',
+        'iframe',
+        '[contenteditable="true"]',
+        '[tabindex]:not([tabindex="-1"])'
+    ].join(',');
+
+    // Open dialogs in stacking order and the elements made inert behind them
+    const dialogStack = [];
+    const inertElements = new Map();
+
+    // Named validators registered through the public API
+    const customValidators = new Map();
+
+    // Deliberate defects instructors can switch on, and the ones that are on;
+    // descriptions are the defect-<name> messages
+    const defectNames = [
+        'no-focus-trap',
+        'no-aria-expanded',
+        'no-roving-tabindex',
+        'no-error-describedby',
+        'no-focus-return',
+        'no-announcements'
+    ];
+    const activeDefects = new Set();
+
     // Initialize the module
     function init() {
+        if (initialized) return;
+        initialized = true;
+
+        // Preferences only touch <html>, so they are applied before the body is parsed
+        initPreferences();
+
         if (document.readyState === 'loading') {
             document.addEventListener('DOMContentLoaded', initAccessibleUI);
         } else {
@@ -28,564 +133,6202 @@ const AccessibleUI = (function() {
 
     // Initialize all features
     function initAccessibleUI() {
+        // Defects first, so every widget sees them from the start
+        initDefects();
+
+        // Live regions must exist before any message is placed in them
+        initAnnouncer();
+        initNotifications();
+
         requestAnimationFrame(() => {
-            initDropdownMenu();
-            initMobileMenu();
             initKeyboardNavigation();
-            initModalDialog();
-            initPlainDialog();
-            initDisclosureWidgets();
+            initRotor();
             initFocusManagement();
-            initTabWidget();
-            initFormValidation();
+            scan();
+            initPreferenceControls();
+            initInspector();
+            initLessons();
+            initAudit();
+            initRecorder();
+            initLifecycle();
+
+            // Scripts driving the page, such as a jsdom test, wait for this before using the widgets
+            dispatchWidgetEvent(document, 'ready');
         });
     }
 
-    function initModalDialog() {
-        const openButton = document.getElementById('open-modal-button');
-        const modalOverlay = document.getElementById('modal-overlay');
-        const closeButton = document.getElementById('modal-close-button');
-        const cancelButton = document.getElementById('modal-cancel-button');
-        
-        if (!openButton || !modalOverlay || !closeButton) return;
-        
-        let focusableElements = [];
-        let firstFocusableElement = null;
-        let lastFocusableElement = null;
-        
-        // Open modal
-        openButton.addEventListener('click', function() {
-            openModal();
+    /**
+     * Read per-instance options from data-aui-* attributes.
+     * Each key in defaults maps to data-aui-<kebab-case-key>; values are coerced to the default's type.
+     * @param {Element} element - Element carrying the attributes
+     * @param {Object} defaults - Option names and default values
+     * @returns {Object}
+     */
+    function readOptions(element, defaults) {
+        const options = { ...defaults };
+
+        Object.keys(defaults).forEach(key => {
+            const attribute = `data-aui-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+            if (!element.hasAttribute(attribute)) return;
+
+            const value = element.getAttribute(attribute);
+            switch (typeof defaults[key]) {
+                case 'boolean':
+                    // Bare attributes count as true
+                    options[key] = value !== 'false';
+                    break;
+                case 'number':
+                    options[key] = Number.isNaN(Number(value)) ? defaults[key] : Number(value);
+                    break;
+                default:
+                    options[key] = value;
+            }
         });
-        
-        // Close modal handlers
-        closeButton.addEventListener('click', function() {
-            closeModal();
+
+        return options;
+    }
+
+    /**
+     * Generate an id that is not yet used in the document
+     * @param {string} prefix - Readable start of the id
+     * @returns {string}
+     */
+    function generateId(prefix) {
+        let id;
+        do {
+            idCounter += 1;
+            id = `aui-${prefix}-${idCounter}`;
+        } while (document.getElementById(id));
+        return id;
+    }
+
+    /**
+     * Widget strings by locale. The locale comes from the nearest lang attribute, falling back from
+     * 'fr-CA' to 'fr' and then to English. {name} placeholders are filled in by getMessage(), and a
+     * message can be an object of Intl.PluralRules categories chosen by the count value.
+     */
+    const messageCatalog = {
+        en: {
+            labelled: '{label}: {text}',
+            'preference-dark-mode': 'Dark mode',
+            'preference-high-contrast': 'High contrast',
+            'preference-reduced-motion': 'Reduced motion',
+            'preference-text-spacing': 'Increased text spacing',
+            'preference-notifications': 'Notifications',
+            'preference-persistent-notifications': 'Persistent notifications',
+            'preference-character-shortcuts': 'Single-key shortcuts',
+            'preference-on': '{label} on',
+            'preference-off': '{label} off',
+            'preferences-reset': 'Preferences reset to follow system settings',
+            'notification-info': 'Info',
+            'notification-success': 'Success',
+            'notification-warning': 'Warning',
+            'notification-error': 'Error',
+            'notification-dismiss': 'Dismiss notification',
+            'notification-actions-hint': 'Press {keys} for {actions}.',
+            'disclosure-opened-floating': 'Content opened. Press Escape to close.',
+            'disclosure-expanded': 'Content expanded',
+            'disclosure-collapsed': 'Content collapsed',
+            'tab-selected': '{label} tab selected',
+            'tab-closed': '{label} tab closed',
+            'table-filter-label': 'Filter rows',
+            'table-filter-count': { one: 'Showing {visible} of {count} row', other: 'Showing {visible} of {count} rows' },
+            'table-sorted-ascending': 'Sorted by {column}, ascending',
+            'table-sorted-descending': 'Sorted by {column}, descending',
+            'table-sort-removed': '{column}: sorting removed, rows in original order',
+            'select-all': 'Select all',
+            'selection-count': '{selected} of {total} selected',
+            'nav-toggle-label': 'Toggle navigation menu',
+            'nav-close-label': 'Close navigation menu',
+            'nav-opened': 'Navigation menu opened',
+            'nav-closed': 'Navigation menu closed',
+            'menu-expanded': '{label} menu expanded',
+            'menu-collapsed': '{label} menu collapsed',
+            'shortcut-help': 'Show keyboard shortcuts',
+            'shortcut-notifications': 'Move to the newest notification',
+            'shortcuts-title': 'Keyboard shortcuts',
+            'shortcuts-close': 'Close keyboard shortcuts',
+            'shortcuts-action': 'Action',
+            'shortcuts-keys': 'Keys',
+            'shortcuts-hint': 'After Change, press the new keys, Delete to turn the shortcut off, or Escape to cancel. Single-key shortcuts never fire while typing in a field.',
+            'shortcuts-restore': 'Restore default keys',
+            'shortcuts-restored': 'Shortcuts restored to their default keys',
+            'shortcut-off': 'Off',
+            'shortcut-change': 'Change',
+            'shortcut-change-label': 'Change {description}',
+            'shortcut-capturing': 'Press keys…',
+            'shortcut-capture-start': 'Press the new keys for {description}, Delete to turn it off, or Escape to cancel',
+            'shortcut-capture-cancelled': 'Change cancelled',
+            'shortcut-in-use': '{keys} is already used for {description}',
+            'shortcut-turned-off': '{description}: shortcut off',
+            'shortcut-rotor': 'Open the page navigator',
+            'rotor-title': 'Page navigator',
+            'rotor-close': 'Close page navigator',
+            'rotor-hint': 'Left and Right Arrow switch between headings, landmarks, links and form fields. Type to filter, then press Enter to go to the item.',
+            'rotor-filter': 'Filter',
+            'rotor-previous': 'Previous category',
+            'rotor-next': 'Next category',
+            'rotor-headings': 'Headings',
+            'rotor-landmarks': 'Landmarks',
+            'rotor-links': 'Links',
+            'rotor-controls': 'Form fields',
+            'rotor-count': { one: '{category}: {count} item', other: '{category}: {count} items' },
+            'rotor-empty': 'Nothing matches the filter',
+            'rotor-level': 'Level {level}',
+            'rotor-unnamed': 'Unnamed',
+            'role-banner': 'Banner',
+            'role-complementary': 'Complementary',
+            'role-contentinfo': 'Content info',
+            'role-form': 'Form',
+            'role-main': 'Main',
+            'role-navigation': 'Navigation',
+            'role-region': 'Region',
+            'role-search': 'Search',
+            'role-textbox': 'Edit text',
+            'role-searchbox': 'Search field',
+            'role-combobox': 'Combo box',
+            'role-listbox': 'List box',
+            'role-checkbox': 'Check box',
+            'role-radio': 'Radio button',
+            'role-switch': 'Switch',
+            'role-slider': 'Slider',
+            'role-spinbutton': 'Spin button',
+            required: '{label} is required',
+            'required-choice': 'Select an option for {label}',
+            'required-check': 'Check {label} to continue',
+            email: 'Please enter a valid email address',
+            url: 'Please enter a valid web address, starting with https://',
+            number: '{label} must be a number',
+            pattern: '{label} is not in the expected format',
+            minlength: '{label} must be at least {value} characters long',
+            maxlength: '{label} must be {value} characters or fewer',
+            min: '{label} must be {value} or more',
+            max: '{label} must be {value} or less',
+            match: '{label} must match {value}',
+            'validator-failed': '{label} could not be checked right now. Please try again.',
+            'error-summary': { one: 'There is 1 error in this form', other: 'There are {count} errors in this form' },
+            'form-errors': 'Form has errors. {message}',
+            'form-pending': 'Submitting the form, please wait…',
+            'form-network-error': 'The form could not be sent. Check your connection and try again.',
+            'form-server-error': 'The server could not process the form (error {status}). Please try again.',
+            'form-success': 'Form submitted successfully!',
+            'form-retry': 'Try again',
+            'lesson-invalid-json': 'The lesson in #{id} could not be read because it is not valid JSON.',
+            'lesson-load-failed': 'The lesson "{lesson}" could not be loaded.',
+            'lesson-invalid': 'This lesson cannot start: it needs an id and at least one step.',
+            'lesson-untitled': 'Lesson',
+            'lesson-show-hint': 'Show hint',
+            'lesson-hints-left': 'Show hint ({count} left)',
+            'lesson-no-hints': 'No more hints',
+            'lesson-skip': 'Skip step',
+            'lesson-restart': 'Start over',
+            'lesson-close': 'Close lesson',
+            'lesson-progress': 'Step {step} of {total}',
+            'lesson-keyboard-only': 'That worked, but this step is about the keyboard. Try again without the mouse.',
+            'lesson-hint': 'Hint: {hint}',
+            'lesson-step-complete': 'Step complete: {step}.',
+            'lesson-complete': 'Lesson complete',
+            'lesson-summary': {
+                one: 'You finished the only step in {duration}, using {hints}.',
+                other: 'You finished all {count} steps in {duration}, using {hints}.'
+            },
+            'lesson-minutes': { one: 'about {count} minute', other: 'about {count} minutes' },
+            'lesson-hints-used': { one: '{count} hint', other: '{count} hints' },
+            'lesson-step-hints': '{step} ({hints})',
+            'lesson-finished': 'Lesson complete: {lesson}.',
+            'lesson-restarted': 'Lesson restarted. {step}.',
+            'defect-no-focus-trap': 'Modal dialogs do not keep focus inside and leave the page behind them reachable',
+            'defect-no-aria-expanded': 'Disclosure buttons do not update aria-expanded',
+            'defect-no-roving-tabindex': 'Tabs do not move tabindex to the selected tab',
+            'defect-no-error-describedby': 'Form errors are not linked to their fields with aria-describedby',
+            'defect-no-focus-return': 'Focus is not returned when dialogs, menus, disclosures and the navigation close',
+            'defect-no-announcements': 'Live region announcements are not made',
+            'defects-label': 'Defect controls',
+            'defects-title': 'Defects',
+            'defects-count': 'Defects ({count} on)',
+            'defects-legend': 'Break the page on purpose',
+            'defects-link': 'Exercise link',
+            'inspector-title': 'Accessibility inspector',
+            'inspector-clear': 'Clear speech',
+            'inspector-close': 'Close inspector',
+            'inspector-role': 'Role',
+            'inspector-name': 'Name',
+            'inspector-description': 'Description',
+            'inspector-states': 'States',
+            'inspector-none': 'None',
+            'inspector-unlabeled': 'None (unlabeled)',
+            'inspector-speech': 'Speech',
+            'inspector-source-focus': 'focus',
+            'inspector-source-state': 'state',
+            'inspector-source-live': 'live ({politeness})',
+            'speech-level': 'level {level}',
+            'speech-expanded': 'expanded',
+            'speech-collapsed': 'collapsed',
+            'speech-selected': 'selected',
+            'speech-checked': 'checked',
+            'speech-not-checked': 'not checked',
+            'speech-partially-checked': 'partially checked',
+            'speech-pressed': 'pressed',
+            'speech-not-pressed': 'not pressed',
+            'speech-has-popup': 'has popup',
+            'speech-required': 'required',
+            'speech-invalid': 'invalid entry',
+            'speech-dimmed': 'dimmed',
+            'speech-current': 'current',
+            'audit-title': 'Accessibility audit',
+            'audit-summary': '{errors} and {warnings}',
+            'audit-errors': { one: '{count} error', other: '{count} errors' },
+            'audit-warnings': { one: '{count} warning', other: '{count} warnings' },
+            'audit-clean': 'No issues found',
+            'audit-error': 'error',
+            'audit-warning': 'warning',
+            'audit-rule': '{severity}: {rule}',
+            'audit-broken-idref': '{attribute} points at "{id}", which does not exist',
+            'audit-duplicate-id': 'id "{id}" is used {count} times',
+            'audit-name-collision': 'name "{name}" is also used by the group containing #{group}',
+            'audit-broken-link': 'In-page link "{link}" points at {href}, which does not exist',
+            'audit-heading-skip': 'Heading "{heading}" jumps from level {from} to {to}',
+            'audit-unlabeled-control': '{role} has no accessible name',
+            'audit-landmark-unlabeled': 'One of {count} {role} landmarks has no label',
+            'audit-landmark-duplicate': '{role} landmark label "{name}" is not unique',
+            'audit-empty-paragraph': 'Empty paragraph, often left by an unmatched </p>',
+            'audit-show': 'Show element',
+            'audit-json': 'JSON report',
+            'audit-rerun': 'Run again',
+            'audit-close': 'Close audit',
+            'audit-finished': 'Audit finished: {summary}',
+            'recorder-title': 'Keyboard recorder',
+            'recorder-record': 'Record',
+            'recorder-download': 'Download script',
+            'recorder-script': 'Script (JSON)',
+            'recorder-replay': 'Replay',
+            'recorder-started': 'Recording keystrokes',
+            'recorder-stopped': { one: 'Recording stopped, {count} keystroke', other: 'Recording stopped, {count} keystrokes' },
+            'replay-passed': { one: 'Replay passed, {count} keystroke', other: 'Replay passed, {count} keystrokes' },
+            'replay-failed': { one: 'Replay failed at {failures} of {count} keystroke', other: 'Replay failed at {failures} of {count} keystrokes' },
+            'replay-matched': {
+                one: 'Passed: {count} keystroke matched the recording.',
+                other: 'Passed: {count} keystrokes matched the recording.'
+            },
+            'replay-error': 'The script could not be replayed: {error}'
+        },
+        fr: {
+            labelled: '{label} : {text}',
+            'preference-dark-mode': 'Mode sombre',
+            'preference-high-contrast': 'Contraste élevé',
+            'preference-reduced-motion': 'Animations réduites',
+            'preference-text-spacing': 'Espacement du texte augmenté',
+            'preference-notifications': 'Notifications',
+            'preference-persistent-notifications': 'Notifications persistantes',
+            'preference-character-shortcuts': 'Raccourcis à une touche',
+            'preference-on': '{label} activé',
+            'preference-off': '{label} désactivé',
+            'preferences-reset': 'Préférences réinitialisées selon les réglages du système',
+            'notification-info': 'Information',
+            'notification-success': 'Succès',
+            'notification-warning': 'Avertissement',
+            'notification-error': 'Erreur',
+            'notification-dismiss': 'Fermer la notification',
+            'notification-actions-hint': 'Appuyez sur {keys} pour {actions}.',
+            'disclosure-opened-floating': 'Contenu ouvert. Appuyez sur Échap pour le fermer.',
+            'disclosure-expanded': 'Contenu développé',
+            'disclosure-collapsed': 'Contenu réduit',
+            'tab-selected': 'Onglet {label} sélectionné',
+            'tab-closed': 'Onglet {label} fermé',
+            'table-filter-label': 'Filtrer les lignes',
+            'table-filter-count': { one: 'Affichage de {visible} sur {count} ligne', other: 'Affichage de {visible} sur {count} lignes' },
+            'table-sorted-ascending': 'Trié par {column}, ordre croissant',
+            'table-sorted-descending': 'Trié par {column}, ordre décroissant',
+            'table-sort-removed': '{column} : tri supprimé, lignes dans l’ordre d’origine',
+            'select-all': 'Tout sélectionner',
+            'selection-count': '{selected} sur {total} sélectionnés',
+            'nav-toggle-label': 'Afficher ou masquer le menu de navigation',
+            'nav-close-label': 'Fermer le menu de navigation',
+            'nav-opened': 'Menu de navigation ouvert',
+            'nav-closed': 'Menu de navigation fermé',
+            'menu-expanded': 'Menu {label} développé',
+            'menu-collapsed': 'Menu {label} réduit',
+            'shortcut-help': 'Afficher les raccourcis clavier',
+            'shortcut-notifications': 'Aller à la notification la plus récente',
+            'shortcuts-title': 'Raccourcis clavier',
+            'shortcuts-close': 'Fermer les raccourcis clavier',
+            'shortcuts-action': 'Action',
+            'shortcuts-keys': 'Touches',
+            'shortcuts-hint': 'Après Modifier, appuyez sur les nouvelles touches, sur Suppr pour désactiver le raccourci ou sur Échap pour annuler. Les raccourcis à une touche ne se déclenchent jamais pendant la saisie dans un champ.',
+            'shortcuts-restore': 'Rétablir les touches par défaut',
+            'shortcuts-restored': 'Raccourcis rétablis sur leurs touches par défaut',
+            'shortcut-off': 'Désactivé',
+            'shortcut-change': 'Modifier',
+            'shortcut-change-label': 'Modifier {description}',
+            'shortcut-capturing': 'Appuyez sur des touches…',
+            'shortcut-capture-start': 'Appuyez sur les nouvelles touches pour {description}, sur Suppr pour le désactiver ou sur Échap pour annuler',
+            'shortcut-capture-cancelled': 'Modification annulée',
+            'shortcut-in-use': '{keys} est déjà utilisé pour {description}',
+            'shortcut-turned-off': '{description} : raccourci désactivé',
+            'shortcut-rotor': 'Ouvrir le navigateur de page',
+            'rotor-title': 'Navigateur de page',
+            'rotor-close': 'Fermer le navigateur de page',
+            'rotor-hint': 'Les flèches gauche et droite passent des titres aux régions, aux liens et aux champs de formulaire. Tapez pour filtrer, puis appuyez sur Entrée pour aller à l’élément.',
+            'rotor-filter': 'Filtrer',
+            'rotor-previous': 'Catégorie précédente',
+            'rotor-next': 'Catégorie suivante',
+            'rotor-headings': 'Titres',
+            'rotor-landmarks': 'Régions',
+            'rotor-links': 'Liens',
+            'rotor-controls': 'Champs de formulaire',
+            'rotor-count': { one: '{category} : {count} élément', other: '{category} : {count} éléments' },
+            'rotor-empty': 'Aucun élément ne correspond au filtre',
+            'rotor-level': 'Niveau {level}',
+            'rotor-unnamed': 'Sans nom',
+            'role-banner': 'Bannière',
+            'role-complementary': 'Complémentaire',
+            'role-contentinfo': 'Informations sur le contenu',
+            'role-form': 'Formulaire',
+            'role-main': 'Principal',
+            'role-navigation': 'Navigation',
+            'role-region': 'Région',
+            'role-search': 'Recherche',
+            'role-textbox': 'Zone de texte',
+            'role-searchbox': 'Champ de recherche',
+            'role-combobox': 'Liste déroulante',
+            'role-listbox': 'Zone de liste',
+            'role-checkbox': 'Case à cocher',
+            'role-radio': 'Bouton radio',
+            'role-switch': 'Interrupteur',
+            'role-slider': 'Curseur',
+            'role-spinbutton': 'Compteur',
+            required: '{label} est obligatoire',
+            'required-choice': 'Sélectionnez une option pour {label}',
+            'required-check': 'Cochez {label} pour continuer',
+            email: 'Saisissez une adresse e-mail valide',
+            url: 'Saisissez une adresse web valide commençant par https://',
+            number: '{label} doit être un nombre',
+            pattern: '{label} n’est pas au format attendu',
+            minlength: '{label} doit comporter au moins {value} caractères',
+            maxlength: '{label} doit comporter au plus {value} caractères',
+            min: '{label} doit être supérieur ou égal à {value}',
+            max: '{label} doit être inférieur ou égal à {value}',
+            match: '{label} doit correspondre à {value}',
+            'validator-failed': '{label} n’a pas pu être vérifié pour le moment. Veuillez réessayer.',
+            'error-summary': { one: 'Ce formulaire contient {count} erreur', other: 'Ce formulaire contient {count} erreurs' },
+            'form-errors': 'Le formulaire contient des erreurs. {message}',
+            'form-pending': 'Envoi du formulaire, veuillez patienter…',
+            'form-network-error': 'Le formulaire n’a pas pu être envoyé. Vérifiez votre connexion et réessayez.',
+            'form-server-error': 'Le serveur n’a pas pu traiter le formulaire (erreur {status}). Veuillez réessayer.',
+            'form-success': 'Formulaire envoyé !',
+            'form-retry': 'Réessayer',
+            'lesson-invalid-json': 'La leçon dans #{id} n’a pas pu être lue, car son JSON n’est pas valide.',
+            'lesson-load-failed': 'La leçon « {lesson} » n’a pas pu être chargée.',
+            'lesson-invalid': 'Cette leçon ne peut pas démarrer : il lui faut un identifiant et au moins une étape.',
+            'lesson-untitled': 'Leçon',
+            'lesson-show-hint': 'Afficher un indice',
+            'lesson-hints-left': { one: 'Afficher un indice ({count} restant)', other: 'Afficher un indice ({count} restants)' },
+            'lesson-no-hints': 'Plus d’indice',
+            'lesson-skip': 'Passer l’étape',
+            'lesson-restart': 'Recommencer',
+            'lesson-close': 'Fermer la leçon',
+            'lesson-progress': 'Étape {step} sur {total}',
+            'lesson-keyboard-only': 'Cela a fonctionné, mais cette étape porte sur le clavier. Réessayez sans la souris.',
+            'lesson-hint': 'Indice : {hint}',
+            'lesson-step-complete': 'Étape terminée : {step}.',
+            'lesson-complete': 'Leçon terminée',
+            'lesson-summary': {
+                one: 'Vous avez terminé l’unique étape en {duration}, avec {hints}.',
+                other: 'Vous avez terminé les {count} étapes en {duration}, avec {hints}.'
+            },
+            'lesson-minutes': { one: 'environ {count} minute', other: 'environ {count} minutes' },
+            'lesson-hints-used': { one: '{count} indice', other: '{count} indices' },
+            'lesson-step-hints': '{step} ({hints})',
+            'lesson-finished': 'Leçon terminée : {lesson}.',
+            'lesson-restarted': 'Leçon recommencée. {step}.',
+            'defect-no-focus-trap': 'Les boîtes de dialogue modales ne retiennent pas le focus et laissent la page derrière elles accessible',
+            'defect-no-aria-expanded': 'Les boutons de divulgation ne mettent pas à jour aria-expanded',
+            'defect-no-roving-tabindex': 'Les onglets ne déplacent pas tabindex vers l’onglet sélectionné',
+            'defect-no-error-describedby': 'Les erreurs de formulaire ne sont pas liées à leurs champs par aria-describedby',
+            'defect-no-focus-return': 'Le focus n’est pas rendu à la fermeture des boîtes de dialogue, menus, divulgations et de la navigation',
+            'defect-no-announcements': 'Les annonces des régions live ne sont pas faites',
+            'defects-label': 'Réglages des défauts',
+            'defects-title': 'Défauts',
+            'defects-count': { one: 'Défauts ({count} activé)', other: 'Défauts ({count} activés)' },
+            'defects-legend': 'Casser la page exprès',
+            'defects-link': 'Lien de l’exercice',
+            'inspector-title': 'Inspecteur d’accessibilité',
+            'inspector-clear': 'Effacer la parole',
+            'inspector-close': 'Fermer l’inspecteur',
+            'inspector-role': 'Rôle',
+            'inspector-name': 'Nom',
+            'inspector-description': 'Description',
+            'inspector-states': 'États',
+            'inspector-none': 'Aucun',
+            'inspector-unlabeled': 'Aucun (sans libellé)',
+            'inspector-speech': 'Parole',
+            'inspector-source-focus': 'focus',
+            'inspector-source-state': 'état',
+            'inspector-source-live': 'live ({politeness})',
+            'speech-level': 'niveau {level}',
+            'speech-expanded': 'développé',
+            'speech-collapsed': 'réduit',
+            'speech-selected': 'sélectionné',
+            'speech-checked': 'coché',
+            'speech-not-checked': 'non coché',
+            'speech-partially-checked': 'partiellement coché',
+            'speech-pressed': 'enfoncé',
+            'speech-not-pressed': 'non enfoncé',
+            'speech-has-popup': 'a une fenêtre contextuelle',
+            'speech-required': 'obligatoire',
+            'speech-invalid': 'saisie non valide',
+            'speech-dimmed': 'estompé',
+            'speech-current': 'actuel',
+            'audit-title': 'Audit d’accessibilité',
+            'audit-summary': '{errors} et {warnings}',
+            'audit-errors': { one: '{count} erreur', other: '{count} erreurs' },
+            'audit-warnings': { one: '{count} avertissement', other: '{count} avertissements' },
+            'audit-clean': 'Aucun problème trouvé',
+            'audit-error': 'erreur',
+            'audit-warning': 'avertissement',
+            'audit-rule': '{severity} : {rule}',
+            'audit-broken-idref': '{attribute} pointe vers « {id} », qui n’existe pas',
+            'audit-duplicate-id': 'l’id « {id} » est utilisé {count} fois',
+            'audit-name-collision': 'le nom « {name} » est aussi utilisé par le groupe contenant #{group}',
+            'audit-broken-link': 'Le lien interne « {link} » pointe vers {href}, qui n’existe pas',
+            'audit-heading-skip': 'Le titre « {heading} » passe du niveau {from} au niveau {to}',
+            'audit-unlabeled-control': '{role} n’a pas de nom accessible',
+            'audit-landmark-unlabeled': 'Un des {count} repères {role} n’a pas de libellé',
+            'audit-landmark-duplicate': 'Le libellé « {name} » du repère {role} n’est pas unique',
+            'audit-empty-paragraph': 'Paragraphe vide, souvent laissé par un </p> orphelin',
+            'audit-show': 'Afficher l’élément',
+            'audit-json': 'Rapport JSON',
+            'audit-rerun': 'Relancer',
+            'audit-close': 'Fermer l’audit',
+            'audit-finished': 'Audit terminé : {summary}',
+            'recorder-title': 'Enregistreur clavier',
+            'recorder-record': 'Enregistrer',
+            'recorder-download': 'Télécharger le script',
+            'recorder-script': 'Script (JSON)',
+            'recorder-replay': 'Rejouer',
+            'recorder-started': 'Enregistrement des frappes',
+            'recorder-stopped': { one: 'Enregistrement arrêté, {count} frappe', other: 'Enregistrement arrêté, {count} frappes' },
+            'replay-passed': { one: 'Relecture réussie, {count} frappe', other: 'Relecture réussie, {count} frappes' },
+            'replay-failed': { one: 'Relecture échouée à {failures} frappe sur {count}', other: 'Relecture échouée à {failures} frappes sur {count}' },
+            'replay-matched': {
+                one: 'Réussi : {count} frappe correspond à l’enregistrement.',
+                other: 'Réussi : {count} frappes correspondent à l’enregistrement.'
+            },
+            'replay-error': 'Le script n’a pas pu être rejoué : {error}'
+        },
+        ar: {
+            labelled: '{label}: {text}',
+            'preference-dark-mode': 'الوضع الداكن',
+            'preference-high-contrast': 'تباين عالٍ',
+            'preference-reduced-motion': 'حركة مخفّضة',
+            'preference-text-spacing': 'تباعد أكبر بين النصوص',
+            'preference-notifications': 'الإشعارات',
+            'preference-persistent-notifications': 'إشعارات دائمة',
+            'preference-character-shortcuts': 'اختصارات المفتاح الواحد',
+            'preference-on': 'تم تشغيل {label}',
+            'preference-off': 'تم إيقاف {label}',
+            'preferences-reset': 'أُعيد ضبط التفضيلات لتتبع إعدادات النظام',
+            'notification-info': 'معلومة',
+            'notification-success': 'نجاح',
+            'notification-warning': 'تحذير',
+            'notification-error': 'خطأ',
+            'notification-dismiss': 'إغلاق الإشعار',
+            'notification-actions-hint': 'اضغط {keys} من أجل {actions}.',
+            'disclosure-opened-floating': 'تم فتح المحتوى. اضغط Escape للإغلاق.',
+            'disclosure-expanded': 'تم توسيع المحتوى',
+            'disclosure-collapsed': 'تم طي المحتوى',
+            'tab-selected': 'تم تحديد علامة التبويب {label}',
+            'tab-closed': 'تم إغلاق علامة التبويب {label}',
+            'table-filter-label': 'تصفية الصفوف',
+            'table-filter-count': {
+                zero: 'عرض {visible} من {count} صف',
+                one: 'عرض {visible} من صف واحد',
+                two: 'عرض {visible} من صفين',
+                few: 'عرض {visible} من {count} صفوف',
+                many: 'عرض {visible} من {count} صفًا',
+                other: 'عرض {visible} من {count} صف'
+            },
+            'table-sorted-ascending': 'مرتب حسب {column}، تصاعديًا',
+            'table-sorted-descending': 'مرتب حسب {column}، تنازليًا',
+            'table-sort-removed': '{column}: أُزيل الترتيب، والصفوف بترتيبها الأصلي',
+            'select-all': 'تحديد الكل',
+            'selection-count': 'تم تحديد {selected} من {total}',
+            'nav-toggle-label': 'إظهار قائمة التنقل أو إخفاؤها',
+            'nav-close-label': 'إغلاق قائمة التنقل',
+            'nav-opened': 'تم فتح قائمة التنقل',
+            'nav-closed': 'تم إغلاق قائمة التنقل',
+            'menu-expanded': 'تم توسيع قائمة {label}',
+            'menu-collapsed': 'تم طي قائمة {label}',
+            'shortcut-help': 'عرض اختصارات لوحة المفاتيح',
+            'shortcut-notifications': 'الانتقال إلى أحدث إشعار',
+            'shortcuts-title': 'اختصارات لوحة المفاتيح',
+            'shortcuts-close': 'إغلاق اختصارات لوحة المفاتيح',
+            'shortcuts-action': 'الإجراء',
+            'shortcuts-keys': 'المفاتيح',
+            'shortcuts-hint': 'بعد «تغيير»، اضغط المفاتيح الجديدة، أو Delete لإيقاف الاختصار، أو Escape للإلغاء. لا تعمل اختصارات المفتاح الواحد أثناء الكتابة في حقل.',
+            'shortcuts-restore': 'استعادة المفاتيح الافتراضية',
+            'shortcuts-restored': 'أُعيدت الاختصارات إلى مفاتيحها الافتراضية',
+            'shortcut-off': 'متوقف',
+            'shortcut-change': 'تغيير',
+            'shortcut-change-label': 'تغيير {description}',
+            'shortcut-capturing': 'اضغط المفاتيح…',
+            'shortcut-capture-start': 'اضغط المفاتيح الجديدة لـ {description}، أو Delete لإيقافه، أو Escape للإلغاء',
+            'shortcut-capture-cancelled': 'أُلغي التغيير',
+            'shortcut-in-use': '{keys} مستخدم بالفعل لـ {description}',
+            'shortcut-turned-off': '{description}: الاختصار متوقف',
+            'shortcut-rotor': 'فتح متصفح الصفحة',
+            'rotor-title': 'متصفح الصفحة',
+            'rotor-close': 'إغلاق متصفح الصفحة',
+            'rotor-hint': 'تنقّل السهمان الأيمن والأيسر بين العناوين والمعالم والروابط وحقول النماذج. اكتب للتصفية، ثم اضغط Enter للانتقال إلى العنصر.',
+            'rotor-filter': 'تصفية',
+            'rotor-previous': 'الفئة السابقة',
+            'rotor-next': 'الفئة التالية',
+            'rotor-headings': 'العناوين',
+            'rotor-landmarks': 'المعالم',
+            'rotor-links': 'الروابط',
+            'rotor-controls': 'حقول النماذج',
+            'rotor-count': '{category}: عدد العناصر {count}',
+            'rotor-empty': 'لا يوجد ما يطابق التصفية',
+            'rotor-level': 'المستوى {level}',
+            'rotor-unnamed': 'بلا اسم',
+            'role-banner': 'الشعار',
+            'role-complementary': 'محتوى تكميلي',
+            'role-contentinfo': 'معلومات المحتوى',
+            'role-form': 'نموذج',
+            'role-main': 'المحتوى الرئيسي',
+            'role-navigation': 'تنقّل',
+            'role-region': 'منطقة',
+            'role-search': 'بحث',
+            'role-textbox': 'حقل نص',
+            'role-searchbox': 'حقل بحث',
+            'role-combobox': 'مربع تحرير وسرد',
+            'role-listbox': 'مربع قائمة',
+            'role-checkbox': 'خانة اختيار',
+            'role-radio': 'زر اختيار',
+            'role-switch': 'مفتاح تبديل',
+            'role-slider': 'شريط تمرير',
+            'role-spinbutton': 'زر تدوير',
+            required: '{label} مطلوب',
+            'required-choice': 'اختر خيارًا لـ {label}',
+            'required-check': 'حدّد {label} للمتابعة',
+            email: 'أدخل عنوان بريد إلكتروني صالحًا',
+            url: 'أدخل عنوان ويب صالحًا يبدأ بـ https://',
+            number: 'يجب أن يكون {label} رقمًا',
+            pattern: '{label} ليس بالتنسيق المتوقع',
+            minlength: 'يجب ألا يقل {label} عن {value} أحرف',
+            maxlength: 'يجب ألا يزيد {label} على {value} حرفًا',
+            min: 'يجب أن يكون {label} {value} أو أكثر',
+            max: 'يجب أن يكون {label} {value} أو أقل',
+            match: 'يجب أن يطابق {label} {value}',
+            'validator-failed': 'تعذّر التحقق من {label} الآن. يرجى المحاولة مرة أخرى.',
+            'error-summary': {
+                zero: 'لا توجد أخطاء في هذا النموذج',
+                one: 'يوجد خطأ واحد في هذا النموذج',
+                two: 'يوجد خطآن في هذا النموذج',
+                few: 'توجد {count} أخطاء في هذا النموذج',
+                many: 'يوجد {count} خطأً في هذا النموذج',
+                other: 'يوجد {count} خطأ في هذا النموذج'
+            },
+            'form-errors': 'يحتوي النموذج على أخطاء. {message}',
+            'form-pending': 'جارٍ إرسال النموذج، يرجى الانتظار…',
+            'form-network-error': 'تعذّر إرسال النموذج. تحقق من اتصالك وحاول مرة أخرى.',
+            'form-server-error': 'تعذّر على الخادم معالجة النموذج (الخطأ {status}). يرجى المحاولة مرة أخرى.',
+            'form-success': 'تم إرسال النموذج بنجاح!',
+            'form-retry': 'إعادة المحاولة',
+            'lesson-invalid-json': 'تعذّرت قراءة الدرس في #{id} لأن JSON الخاص به غير صالح.',
+            'lesson-load-failed': 'تعذّر تحميل الدرس "{lesson}".',
+            'lesson-invalid': 'لا يمكن بدء هذا الدرس: يحتاج إلى معرّف وخطوة واحدة على الأقل.',
+            'lesson-untitled': 'درس',
+            'lesson-show-hint': 'إظهار تلميح',
+            'lesson-hints-left': 'إظهار تلميح (المتبقي: {count})',
+            'lesson-no-hints': 'لا مزيد من التلميحات',
+            'lesson-skip': 'تخطي الخطوة',
+            'lesson-restart': 'البدء من جديد',
+            'lesson-close': 'إغلاق الدرس',
+            'lesson-progress': 'الخطوة {step} من {total}',
+            'lesson-keyboard-only': 'نجح ذلك، لكن هذه الخطوة تخص لوحة المفاتيح. حاول مرة أخرى دون الفأرة.',
+            'lesson-hint': 'تلميح: {hint}',
+            'lesson-step-complete': 'اكتملت الخطوة: {step}.',
+            'lesson-complete': 'اكتمل الدرس',
+            'lesson-summary': 'أنهيت جميع الخطوات ({count}) في {duration}، باستخدام {hints}.',
+            'lesson-minutes': {
+                zero: 'نحو {count} دقيقة',
+                one: 'نحو دقيقة واحدة',
+                two: 'نحو دقيقتين',
+                few: 'نحو {count} دقائق',
+                many: 'نحو {count} دقيقة',
+                other: 'نحو {count} دقيقة'
+            },
+            'lesson-hints-used': 'عدد التلميحات {count}',
+            'lesson-step-hints': '{step} ({hints})',
+            'lesson-finished': 'اكتمل الدرس: {lesson}.',
+            'lesson-restarted': 'أُعيد بدء الدرس. {step}.',
+            'defect-no-focus-trap': 'مربعات الحوار المشروطة لا تُبقي التركيز داخلها وتترك الصفحة خلفها قابلة للوصول',
+            'defect-no-aria-expanded': 'أزرار الإفصاح لا تحدّث aria-expanded',
+            'defect-no-roving-tabindex': 'علامات التبويب لا تنقل tabindex إلى علامة التبويب المحددة',
+            'defect-no-error-describedby': 'أخطاء النموذج غير مرتبطة بحقولها عبر aria-describedby',
+            'defect-no-focus-return': 'لا يُعاد التركيز عند إغلاق مربعات الحوار والقوائم وعناصر الإفصاح والتنقل',
+            'defect-no-announcements': 'لا تُقدَّم إعلانات المناطق الحية',
+            'defects-label': 'عناصر التحكم في العيوب',
+            'defects-title': 'العيوب',
+            'defects-count': 'العيوب (المفعّلة: {count})',
+            'defects-legend': 'أفسد الصفحة عن قصد',
+            'defects-link': 'رابط التمرين',
+            'inspector-title': 'فاحص إمكانية الوصول',
+            'inspector-clear': 'مسح الكلام',
+            'inspector-close': 'إغلاق الفاحص',
+            'inspector-role': 'الدور',
+            'inspector-name': 'الاسم',
+            'inspector-description': 'الوصف',
+            'inspector-states': 'الحالات',
+            'inspector-none': 'لا شيء',
+            'inspector-unlabeled': 'لا شيء (بلا تسمية)',
+            'inspector-speech': 'الكلام',
+            'inspector-source-focus': 'التركيز',
+            'inspector-source-state': 'الحالة',
+            'inspector-source-live': 'مباشر ({politeness})',
+            'speech-level': 'المستوى {level}',
+            'speech-expanded': 'موسّع',
+            'speech-collapsed': 'مطوي',
+            'speech-selected': 'محدد',
+            'speech-checked': 'محدد بعلامة',
+            'speech-not-checked': 'غير محدد بعلامة',
+            'speech-partially-checked': 'محدد جزئيًا',
+            'speech-pressed': 'مضغوط',
+            'speech-not-pressed': 'غير مضغوط',
+            'speech-has-popup': 'له نافذة منبثقة',
+            'speech-required': 'مطلوب',
+            'speech-invalid': 'إدخال غير صالح',
+            'speech-dimmed': 'معتم',
+            'speech-current': 'الحالي',
+            'audit-title': 'تدقيق إمكانية الوصول',
+            'audit-summary': '{errors}، {warnings}',
+            'audit-errors': 'الأخطاء: {count}',
+            'audit-warnings': 'التحذيرات: {count}',
+            'audit-clean': 'لم يُعثر على مشكلات',
+            'audit-error': 'خطأ',
+            'audit-warning': 'تحذير',
+            'audit-rule': '{severity}: {rule}',
+            'audit-broken-idref': 'يشير {attribute} إلى "{id}"، وهو غير موجود',
+            'audit-duplicate-id': 'المعرّف "{id}" مستخدم أكثر من مرة (عدد المرات: {count})',
+            'audit-name-collision': 'الاسم "{name}" مستخدم أيضًا في المجموعة التي تحتوي على #{group}',
+            'audit-broken-link': 'الرابط الداخلي "{link}" يشير إلى {href}، وهو غير موجود',
+            'audit-heading-skip': 'العنوان "{heading}" يقفز من المستوى {from} إلى {to}',
+            'audit-unlabeled-control': 'لا يوجد اسم قابل للوصول للعنصر {role}',
+            'audit-landmark-unlabeled': 'أحد معالم {role} (عددها {count}) بلا تسمية',
+            'audit-landmark-duplicate': 'تسمية معلم {role} "{name}" غير فريدة',
+            'audit-empty-paragraph': 'فقرة فارغة، غالبًا بسبب </p> غير مطابق',
+            'audit-show': 'إظهار العنصر',
+            'audit-json': 'تقرير JSON',
+            'audit-rerun': 'التشغيل مرة أخرى',
+            'audit-close': 'إغلاق التدقيق',
+            'audit-finished': 'انتهى التدقيق: {summary}',
+            'recorder-title': 'مسجّل لوحة المفاتيح',
+            'recorder-record': 'تسجيل',
+            'recorder-download': 'تنزيل البرنامج النصي',
+            'recorder-script': 'البرنامج النصي (JSON)',
+            'recorder-replay': 'إعادة التشغيل',
+            'recorder-started': 'جارٍ تسجيل ضغطات المفاتيح',
+            'recorder-stopped': 'توقف التسجيل، عدد ضغطات المفاتيح {count}',
+            'replay-passed': 'نجحت إعادة التشغيل، عدد ضغطات المفاتيح {count}',
+            'replay-failed': 'فشلت إعادة التشغيل في {failures} من ضغطات المفاتيح البالغ عددها {count}',
+            'replay-matched': 'نجح: طابقت ضغطات المفاتيح التسجيل، وعددها {count}.',
+            'replay-error': 'تعذّرت إعادة تشغيل البرنامج النصي: {error}'
+        }
+    };
+
+    // Catalog locale for an element: its nearest lang, then the base language, then English
+    function getLocale(element = document.documentElement) {
+        const lang = (element.closest('[lang]')?.getAttribute('lang') || '').toLowerCase();
+        if (messageCatalog[lang]) return lang;
+
+        const base = lang.split('-')[0];
+        return messageCatalog[base] ? base : 'en';
+    }
+
+    /**
+     * Look up a widget string. data-aui-message-<key> on the element or any ancestor overrides the catalog.
+     * @param {string} key - Catalog key, e.g. 'tab-selected'
+     * @param {Object} [values] - Placeholder values; count also picks the plural form
+     * @param {Element} [element=document.documentElement] - Widget the string is for; sets the locale and overrides
+     * @returns {string}
+     */
+    function getMessage(key, values = {}, element = document.documentElement) {
+        const override = element.closest(`[data-aui-message-${key}]`)?.getAttribute(`data-aui-message-${key}`);
+        const locale = getLocale(element);
+        let template = override ?? messageCatalog[locale][key] ??
+            messageCatalog[locale.split('-')[0]]?.[key] ?? messageCatalog.en[key] ?? key;
+
+        if (typeof template === 'object') {
+            const category = new Intl.PluralRules(locale).select(values.count ?? 0);
+            template = template[category] ?? template.other;
+        }
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? String(values[name]) : placeholder));
+    }
+
+    /**
+     * Add or replace catalog strings, for another locale or to change the wording site-wide
+     * @param {string} locale - Language tag such as 'de' or 'fr-CA'
+     * @param {Object} messages - Strings by key; see messageCatalog.en for the keys
+     */
+    function addMessages(locale, messages) {
+        const key = locale.toLowerCase();
+        messageCatalog[key] = { ...messageCatalog[key], ...messages };
+    }
+
+    // Teaching defects: named, individually switchable breakages for testing exercises
+    function initDefects() {
+        const params = new URLSearchParams(window.location.search);
+        const requested = (params.get('defects') || '').split(',').map(name => name.trim()).filter(Boolean);
+
+        (requested.includes('all') ? defectNames : requested).forEach(name => {
+            if (defectNames.includes(name)) activeDefects.add(name);
         });
-        
-        if (cancelButton) {
-            cancelButton.addEventListener('click', function() {
-                closeModal();
-            });
+
+        if (params.has('defect-panel')) {
+            createDefectPanel();
         }
-        
-        // Close modal on overlay click
-        modalOverlay.addEventListener('click', function(e) {
-            if (e.target === modalOverlay) {
-                closeModal();
-            }
+    }
+
+    function hasDefect(name) {
+        return activeDefects.has(name);
+    }
+
+    /**
+     * Switch a teaching defect on or off at runtime
+     * @param {string} name - One of defectNames
+     * @param {boolean} [enabled=true]
+     * @returns {boolean} Whether the name is a known defect
+     */
+    function setDefect(name, enabled = true) {
+        if (!defectNames.includes(name)) return false;
+
+        if (enabled) {
+            activeDefects.add(name);
+        } else {
+            activeDefects.delete(name);
+        }
+        syncDefectPanel();
+        return true;
+    }
+
+    // Every defect with its description and whether it is on
+    function getDefects() {
+        return Object.fromEntries(defectNames.map(name => [
+            name,
+            { description: getMessage(`defect-${name}`), enabled: activeDefects.has(name) }
+        ]));
+    }
+
+    /**
+     * The current page address carrying the active defects
+     * @param {boolean} [keepPanel=false] - Keep the defect-panel parameter
+     * @returns {string}
+     */
+    function getDefectUrl(keepPanel = false) {
+        const url = new URL(window.location.href);
+        if (!keepPanel) {
+            url.searchParams.delete('defect-panel');
+        }
+        if (activeDefects.size) {
+            url.searchParams.set('defects', [...activeDefects].join(','));
+        } else {
+            url.searchParams.delete('defects');
+        }
+        // Keep the list readable in the address bar
+        return url.toString().replace(/%2C/g, ',');
+    }
+
+    // Focus moves that hand focus back after something closes; the no-focus-return defect skips them
+    function returnFocus(element) {
+        if (element && !hasDefect('no-focus-return')) {
+            element.focus();
+        }
+    }
+
+    // Instructor panel listing every defect as a checkbox, shown with ?defect-panel
+    function createDefectPanel() {
+        if (document.getElementById('aui-defect-panel')) return;
+
+        const panel = document.createElement('aside');
+        panel.id = 'aui-defect-panel';
+        panel.className = 'defect-panel';
+        panel.setAttribute('data-aui-tool', '');
+        panel.setAttribute('aria-label', getMessage('defects-label'));
+
+        // Native details keeps the panel usable whichever defects are on
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = getMessage('defects-title');
+        details.appendChild(summary);
+
+        const fieldset = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        legend.textContent = getMessage('defects-legend');
+        fieldset.appendChild(legend);
+
+        defectNames.forEach(name => {
+            const option = document.createElement('div');
+            option.className = 'checkbox-group';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = `aui-defect-${name}`;
+            checkbox.value = name;
+            checkbox.addEventListener('change', () => setDefect(name, checkbox.checked));
+
+            const label = document.createElement('label');
+            label.htmlFor = checkbox.id;
+            label.textContent = getMessage(`defect-${name}`);
+
+            option.append(checkbox, label);
+            fieldset.appendChild(option);
         });
-        
-        // Handle keyboard events
-        document.addEventListener('keydown', function(e) {
-            if (!modalOverlay.hidden) {
-                if (e.key === 'Escape') {
-                    e.preventDefault();
-                    closeModal();
-                } else if (e.key === 'Tab') {
-                    handleModalTabKey(e);
-                }
-            }
+
+        const linkLabel = document.createElement('label');
+        linkLabel.htmlFor = 'aui-defect-link';
+        linkLabel.textContent = getMessage('defects-link');
+
+        const link = document.createElement('input');
+        link.id = 'aui-defect-link';
+        link.type = 'url';
+        link.readOnly = true;
+
+        details.append(fieldset, linkLabel, link);
+        panel.appendChild(details);
+        document.body.appendChild(panel);
+        syncDefectPanel();
+    }
+
+    // Reflect the active defects in the panel and the address bar
+    function syncDefectPanel() {
+        const panel = document.getElementById('aui-defect-panel');
+        if (!panel) return;
+
+        panel.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            checkbox.checked = activeDefects.has(checkbox.value);
         });
-        
-        function openModal() {
-            // Show modal
-            modalOverlay.hidden = false;
-            
-            // Prevent body scroll
-            document.body.classList.add('modal-open');
-            
-            // Set focus to first focusable element
-            updateFocusableElements();
-            if (firstFocusableElement) {
-                firstFocusableElement.focus();
-            }
+        panel.querySelector('summary').textContent = getMessage('defects-count', { count: activeDefects.size });
+        panel.querySelector('#aui-defect-link').value = getDefectUrl();
+
+        try {
+            history.replaceState(history.state, '', getDefectUrl(true));
+        } catch (error) {
+            // Some file:// pages refuse history updates; the exercise link still works
         }
-        
-        function closeModal() {
-            // Hide modal
-            modalOverlay.hidden = true;
-            
-            // Restore body scroll
-            document.body.classList.remove('modal-open');
-            
-            // Return focus to trigger button
-            openButton.focus();
+    }
+
+    // Accessibility inspector: shows what a screen reader would report for the focused element
+    const implicitRoles = {
+        a: element => (element.hasAttribute('href') ? 'link' : 'generic'),
+        area: element => (element.hasAttribute('href') ? 'link' : 'generic'),
+        article: () => 'article',
+        aside: () => 'complementary',
+        button: () => 'button',
+        details: () => 'group',
+        dialog: () => 'dialog',
+        fieldset: () => 'group',
+        footer: element => (element.closest('article, aside, main, nav, section') ? 'generic' : 'contentinfo'),
+        form: () => 'form',
+        header: element => (element.closest('article, aside, main, nav, section') ? 'generic' : 'banner'),
+        img: element => (element.getAttribute('alt') === '' ? 'presentation' : 'img'),
+        li: () => 'listitem',
+        main: () => 'main',
+        nav: () => 'navigation',
+        ol: () => 'list',
+        p: () => 'paragraph',
+        // Only a labelled section is a region landmark
+        section: element => (element.matches('[aria-label], [aria-labelledby], [title]') ? 'region' : 'generic'),
+        select: element => (element.multiple || element.size > 1 ? 'listbox' : 'combobox'),
+        summary: () => 'button',
+        table: () => 'table',
+        td: element => (element.closest('table')?.getAttribute('role') === 'grid' ? 'gridcell' : 'cell'),
+        textarea: () => 'textbox',
+        th: element => (element.getAttribute('scope') === 'row' ? 'rowheader' : 'columnheader'),
+        tr: () => 'row',
+        ul: () => 'list',
+        input: element => ({
+            button: 'button',
+            checkbox: 'checkbox',
+            image: 'button',
+            number: 'spinbutton',
+            radio: 'radio',
+            range: 'slider',
+            reset: 'button',
+            search: 'searchbox',
+            submit: 'button'
+        })[element.type] || 'textbox'
+    };
+
+    // Roles whose name comes from their content
+    const nameFromContentRoles = [
+        'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link', 'menuitem', 'menuitemcheckbox',
+        'menuitemradio', 'option', 'radio', 'row', 'rowheader', 'switch', 'tab', 'tooltip', 'treeitem'
+    ];
+
+    const inspectedStates = [
+        'aria-expanded', 'aria-selected', 'aria-checked', 'aria-pressed', 'aria-invalid',
+        'aria-disabled', 'aria-required', 'aria-current', 'aria-haspopup', 'aria-busy'
+    ];
+
+    const inspector = {
+        panel: null,
+        observer: null,
+        listeners: null,
+        lastEntry: '',
+        lastDialog: null,
+        maxEntries: 100
+    };
+
+    function getRole(element) {
+        const explicitRole = element.getAttribute('role')?.trim().split(/\s+/)[0];
+        if (explicitRole) return explicitRole;
+
+        const tag = element.tagName.toLowerCase();
+        if (/^h[1-6]$/.test(tag)) return 'heading';
+        return implicitRoles[tag]?.(element) || 'generic';
+    }
+
+    // Text of a subtree as assistive technology reads it: hidden parts skipped, labels and alt text used
+    function getTextAlternative(node) {
+        if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+        if (node.hidden || node.getAttribute('aria-hidden') === 'true') return '';
+
+        const label = node.getAttribute('aria-label');
+        if (label?.trim()) return label;
+        if (node.tagName === 'IMG') return node.getAttribute('alt') || '';
+        if (node.matches('input, select, textarea')) return node.value || '';
+
+        return [...node.childNodes].map(getTextAlternative).join(' ');
+    }
+
+    function getReferencedText(element, attribute) {
+        return (element.getAttribute(attribute) || '')
+            .split(/\s+/)
+            .map(id => document.getElementById(id))
+            .filter(Boolean)
+            // Referenced elements count even when hidden
+            .map(referenced => [...referenced.childNodes].map(getTextAlternative).join(' '))
+            .join(' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Accessible name, in the order aria-labelledby, aria-label, native labelling, content, title
+     * @param {Element} element
+     * @returns {string}
+     */
+    function getAccessibleName(element) {
+        const labelledBy = getReferencedText(element, 'aria-labelledby');
+        if (labelledBy) return labelledBy;
+
+        const ariaLabel = element.getAttribute('aria-label')?.trim();
+        if (ariaLabel) return ariaLabel;
+
+        let nativeName = '';
+        if (element.matches('input, select, textarea, meter, progress, output')) {
+            const labels = element.labels ? [...element.labels] : [];
+            nativeName = labels
+                .map(label => [...label.childNodes]
+                    .filter(child => child !== element && !child.contains?.(element))
+                    .map(getTextAlternative)
+                    .join(' '))
+                .join(' ');
+            if (!nativeName && ['button', 'submit', 'reset'].includes(element.type)) {
+                nativeName = element.value;
+            }
+        } else if (element.matches('fieldset')) {
+            nativeName = element.querySelector(':scope > legend')?.textContent || '';
+        } else if (element.matches('table')) {
+            nativeName = element.querySelector(':scope > caption')?.textContent || '';
+        } else if (element.matches('img')) {
+            nativeName = element.getAttribute('alt') || '';
         }
-        
-        function updateFocusableElements() {
-            const focusableSelector = [
-                'button:not([disabled])',
-                '[href]',
-                'input:not([disabled])',
-                'select:not([disabled])',
-                'textarea:not([disabled])',
-                '[tabindex]:not([tabindex="-1"])'
-            ].join(',');
-            
-            focusableElements = Array.from(modalOverlay.querySelectorAll(focusableSelector));
-            firstFocusableElement = focusableElements[0];
-            lastFocusableElement = focusableElements[focusableElements.length - 1];
+        nativeName = nativeName.replace(/\s+/g, ' ').trim();
+        if (nativeName) return nativeName;
+
+        if (nameFromContentRoles.includes(getRole(element))) {
+            const content = getTextAlternative(element).replace(/\s+/g, ' ').trim();
+            if (content) return content;
         }
-        
-        function handleModalTabKey(e) {
-            if (focusableElements.length === 0) return;
-            
-            const activeElement = document.activeElement;
-            const currentIndex = focusableElements.indexOf(activeElement);
-            
-            if (e.shiftKey) {
-                // Shift + Tab (backward)
-                if (currentIndex <= 0) {
-                    e.preventDefault();
-                    lastFocusableElement.focus();
-                }
-            } else {
-                // Tab (forward)
-                if (currentIndex >= focusableElements.length - 1) {
-                    e.preventDefault();
-                    firstFocusableElement.focus();
-                }
+
+        return (element.getAttribute('title') || element.getAttribute('placeholder') || '').trim();
+    }
+
+    function getAccessibleDescription(element) {
+        const describedBy = getReferencedText(element, 'aria-describedby');
+        if (describedBy) return describedBy;
+
+        // A title that was not already used as the name describes the element
+        const title = element.getAttribute('title')?.trim();
+        return title && title !== getAccessibleName(element) ? title : '';
+    }
+
+    // States as name/value pairs, including native equivalents
+    function getStates(element) {
+        const states = {};
+
+        inspectedStates.forEach(attribute => {
+            if (element.hasAttribute(attribute)) {
+                states[attribute.replace('aria-', '')] = element.getAttribute(attribute);
             }
+        });
+
+        if (element.matches('input[type="checkbox"], input[type="radio"]') && !('checked' in states)) {
+            states.checked = element.indeterminate ? 'mixed' : String(element.checked);
+        }
+        if (element.disabled && !('disabled' in states)) states.disabled = 'true';
+        if (element.required && !('required' in states)) states.required = 'true';
+        if (getRole(element) === 'heading') {
+            states.level = element.getAttribute('aria-level') || element.tagName.slice(1);
         }
+
+        return states;
     }
 
-    function initPlainDialog() {
-        const openButton = document.getElementById('open-dialog-button');
-        const dialogOverlay = document.getElementById('dialog-overlay');
-        const closeButton = document.getElementById('dialog-close-button');
-        const closeButtonSecondary = document.querySelector('.dialog-close-button-secondary');
-        
-        if (!openButton || !dialogOverlay || !closeButton) return;
-        
-        // Open dialog
-        openButton.addEventListener('click', function() {
-            openDialog();
+    // One line of "speech", roughly in the order a screen reader reads it
+    function describeForSpeech(element) {
+        const states = getStates(element);
+        const spoken = [getAccessibleName(element), getRole(element)];
+
+        // Table cells are read after the headers they belong to
+        if (element.matches('td, th')) {
+            spoken.unshift(getReferencedText(element, 'headers'));
+        }
+
+        if (states.level) spoken.push(getMessage('speech-level', { level: states.level }));
+        if (states.expanded) spoken.push(getMessage(states.expanded === 'true' ? 'speech-expanded' : 'speech-collapsed'));
+        if (states.selected === 'true') spoken.push(getMessage('speech-selected'));
+        if (states.checked) {
+            spoken.push(getMessage({ true: 'speech-checked', false: 'speech-not-checked', mixed: 'speech-partially-checked' }[states.checked]));
+        }
+        if (states.pressed) spoken.push(getMessage(states.pressed === 'true' ? 'speech-pressed' : 'speech-not-pressed'));
+        if (states.haspopup && states.haspopup !== 'false') spoken.push(getMessage('speech-has-popup'));
+        if (states.required === 'true') spoken.push(getMessage('speech-required'));
+        if (states.invalid && states.invalid !== 'false') spoken.push(getMessage('speech-invalid'));
+        if (states.disabled === 'true') spoken.push(getMessage('speech-dimmed'));
+        if (states.current && states.current !== 'false') spoken.push(getMessage('speech-current'));
+
+        const description = getAccessibleDescription(element);
+        if (description) spoken.push(description);
+
+        return spoken.filter(Boolean).join(', ');
+    }
+
+    function initInspector() {
+        if (new URLSearchParams(window.location.search).has('inspector')) {
+            showInspector();
+        }
+    }
+
+    /**
+     * Show the inspector panel and start following focus and live regions
+     */
+    function showInspector() {
+        if (inspector.panel) return;
+
+        const panel = document.createElement('aside');
+        panel.id = 'aui-inspector';
+        panel.className = 'inspector-panel';
+        panel.setAttribute('data-aui-tool', '');
+        panel.setAttribute('aria-labelledby', 'aui-inspector-title');
+
+        const header = document.createElement('div');
+        header.className = 'inspector-header';
+
+        const title = document.createElement('h2');
+        title.id = 'aui-inspector-title';
+        title.className = 'inspector-title';
+        title.textContent = getMessage('inspector-title');
+        header.appendChild(title);
+
+        ['clear', 'close'].forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'inspector-button';
+            button.setAttribute('data-inspector-action', action);
+            button.textContent = getMessage(`inspector-${action}`);
+            header.appendChild(button);
         });
-        
-        // Close dialog handlers
-        closeButton.addEventListener('click', function() {
-            closeDialog();
+
+        const properties = document.createElement('dl');
+        properties.className = 'inspector-properties';
+        ['role', 'name', 'description', 'states'].forEach(field => {
+            const dt = document.createElement('dt');
+            dt.textContent = getMessage(`inspector-${field}`);
+            const dd = document.createElement('dd');
+            dd.setAttribute('data-inspector-field', field);
+            dd.textContent = getMessage('inspector-none');
+            properties.append(dt, dd);
         });
-        
-        if (closeButtonSecondary) {
-            closeButtonSecondary.addEventListener('click', function() {
-                closeDialog();
-            });
-        }
-        
-        // Close dialog on overlay click
-        dialogOverlay.addEventListener('click', function(e) {
-            if (e.target === dialogOverlay) {
-                closeDialog();
+
+        const speechTitle = document.createElement('h3');
+        speechTitle.id = 'aui-inspector-speech-title';
+        speechTitle.className = 'inspector-subtitle';
+        speechTitle.textContent = getMessage('inspector-speech');
+
+        // Focusable so keyboard users can scroll the transcript
+        const speech = document.createElement('ol');
+        speech.className = 'inspector-speech';
+        speech.tabIndex = 0;
+        speech.setAttribute('aria-labelledby', speechTitle.id);
+
+        panel.append(header, properties, speechTitle, speech);
+        document.body.appendChild(panel);
+        inspector.panel = panel;
+        inspector.listeners = createListenerGroup();
+
+        inspector.listeners.add(panel, 'click', e => {
+            const action = e.target.closest('[data-inspector-action]')?.getAttribute('data-inspector-action');
+            if (action === 'clear') {
+                panel.querySelector('.inspector-speech').textContent = '';
+                inspector.lastEntry = '';
+            } else if (action === 'close') {
+                hideInspector();
             }
         });
-        
-        // Handle keyboard events
-        document.addEventListener('keydown', function(e) {
-            if (!dialogOverlay.hidden && e.key === 'Escape') {
-                e.preventDefault();
-                closeDialog();
+
+        inspector.listeners.add(document, 'focusin', e => {
+            if (panel.contains(e.target)) return;
+
+            // Like a screen reader, name a dialog as focus enters it
+            const dialog = e.target.closest('[role="dialog"], [role="alertdialog"], dialog');
+            if (dialog && dialog !== inspector.lastDialog && dialog !== e.target) {
+                addSpeechEntry(describeForSpeech(dialog), 'focus');
             }
+            inspector.lastDialog = dialog;
+
+            inspectElement(e.target);
+            addSpeechEntry(describeForSpeech(e.target), 'focus');
         });
-        
-        function openDialog() {
-            // Show dialog
-            dialogOverlay.hidden = false;
-            
-            // Set focus to close button (first focusable element)
-            closeButton.focus();
+
+        // Checking a box changes a property, not an attribute, so listen for it directly
+        inspector.listeners.add(document, 'change', e => {
+            if (e.target === document.activeElement && e.target.matches('input[type="checkbox"], input[type="radio"]')) {
+                inspectElement(e.target);
+                addSpeechEntry(describeForSpeech(e.target), 'state');
+            }
+        });
+
+        // Live region text and state changes on the focused element are spoken too
+        inspector.observer = new MutationObserver(handleInspectorMutations);
+        inspector.observer.observe(document.body, {
+            subtree: true,
+            childList: true,
+            characterData: true,
+            attributes: true,
+            attributeFilter: inspectedStates
+        });
+
+        if (document.activeElement && document.activeElement !== document.body) {
+            inspectElement(document.activeElement);
         }
-        
-        function closeDialog() {
-            // Hide dialog
-            dialogOverlay.hidden = true;
-            
-            // Return focus to trigger button
-            openButton.focus();
+    }
+
+    function hideInspector() {
+        if (!inspector.panel) return;
+
+        inspector.observer.disconnect();
+        inspector.listeners.removeAll();
+        inspector.panel.remove();
+        inspector.panel = null;
+        inspector.lastEntry = '';
+        inspector.lastDialog = null;
+    }
+
+    function inspectElement(element) {
+        const fields = inspector.panel.querySelectorAll('[data-inspector-field]');
+        const states = Object.entries(getStates(element))
+            .map(([name, value]) => `${name}: ${value}`)
+            .join(', ');
+        const values = {
+            role: getRole(element),
+            name: getAccessibleName(element) || getMessage('inspector-unlabeled'),
+            description: getAccessibleDescription(element) || getMessage('inspector-none'),
+            states: states || getMessage('inspector-none')
+        };
+
+        fields.forEach(field => {
+            field.textContent = values[field.getAttribute('data-inspector-field')];
+        });
+    }
+
+    function handleInspectorMutations(mutations) {
+        const spokenRegions = new Set();
+
+        mutations.forEach(mutation => {
+            if (inspector.panel.contains(mutation.target)) return;
+
+            if (mutation.type === 'attributes') {
+                if (mutation.target === document.activeElement) {
+                    inspectElement(mutation.target);
+                    addSpeechEntry(describeForSpeech(mutation.target), 'state');
+                }
+                return;
+            }
+
+            const node = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+            const region = node?.closest('[aria-live], [role="status"], [role="alert"], [role="log"]');
+            if (region && region.getAttribute('aria-live') !== 'off') {
+                spokenRegions.add(region);
+            }
+        });
+
+        spokenRegions.forEach(region => {
+            const text = region.textContent.replace(/\s+/g, ' ').trim();
+            if (!text) return;
+
+            const politeness = region.getAttribute('aria-live') || (region.getAttribute('role') === 'alert' ? 'assertive' : 'polite');
+            addSpeechEntry(text, politeness);
+        });
+    }
+
+    /**
+     * @param {string} text - What would be spoken
+     * @param {string} source - 'focus', 'state', 'polite' or 'assertive'
+     */
+    function addSpeechEntry(text, source) {
+        const entryKey = `${source}:${text}`;
+        if (!text || entryKey === inspector.lastEntry) return;
+        inspector.lastEntry = entryKey;
+
+        const list = inspector.panel.querySelector('.inspector-speech');
+        const entry = document.createElement('li');
+        entry.className = `inspector-entry inspector-entry-${source}`;
+
+        const label = document.createElement('span');
+        label.className = 'inspector-source';
+        label.textContent = source === 'focus' || source === 'state'
+            ? getMessage(`inspector-source-${source}`)
+            : getMessage('inspector-source-live', { politeness: source });
+
+        entry.append(label, ` ${text}`);
+        list.appendChild(entry);
+
+        while (list.children.length > inspector.maxEntries) {
+            list.firstElementChild.remove();
+        }
+        list.scrollTop = list.scrollHeight;
+    }
+
+    // Guided lessons: JSON step definitions checked against focus, keys, ARIA states and widget events
+    const lessonConfig = {
+        storagePrefix: 'aui-lesson:',
+        lessonSelector: 'script[type="application/json"][data-aui-lesson]'
+    };
+
+    const lesson = {
+        definition: null,
+        stepIndex: 0,
+        progress: null,
+        pending: null,
+        lastInput: null,
+        panel: null,
+        observer: null,
+        listeners: null
+    };
+
+    // Lessons embedded in the page as <script type="application/json" data-aui-lesson>
+    function getPageLessons() {
+        return [...document.querySelectorAll(lessonConfig.lessonSelector)].map(script => {
+            try {
+                return JSON.parse(script.textContent);
+            } catch (error) {
+                notify(getMessage('lesson-invalid-json', { id: script.id || 'script' }), { severity: 'error' });
+                return null;
+            }
+        }).filter(Boolean);
+    }
+
+    // ?lesson=<id> starts a lesson from the page, or loads a lesson JSON file from a URL
+    function initLessons() {
+        const requested = new URLSearchParams(window.location.search).get('lesson');
+        if (requested) {
+            startLesson(requested);
+        }
+    }
+
+    /**
+     * Start a lesson, resuming saved progress
+     * @param {Object|string} source - Lesson definition, the id of a lesson in the page, or a JSON URL
+     * @returns {Promise<boolean>} Whether the lesson started
+     */
+    async function startLesson(source) {
+        let definition = source;
+
+        if (typeof source === 'string') {
+            definition = getPageLessons().find(pageLesson => pageLesson.id === source);
+            if (!definition) {
+                try {
+                    const response = await fetch(source);
+                    definition = await response.json();
+                } catch (error) {
+                    notify(getMessage('lesson-load-failed', { lesson: source }), { severity: 'error' });
+                    return false;
+                }
+            }
+        }
+
+        if (!definition?.id || !Array.isArray(definition.steps) || !definition.steps.length) {
+            notify(getMessage('lesson-invalid'), { severity: 'error' });
+            return false;
+        }
+
+        stopLesson();
+        lesson.definition = definition;
+        lesson.progress = loadLessonProgress(definition.id);
+        lesson.stepIndex = getFirstIncompleteStep();
+
+        renderLessonPanel();
+        startLessonListeners();
+
+        if (lesson.stepIndex >= definition.steps.length) {
+            showLessonSummary();
+        } else {
+            showLessonStep();
         }
+        return true;
+    }
+
+    function stopLesson() {
+        if (!lesson.definition) return;
+
+        lesson.observer.disconnect();
+        lesson.listeners.removeAll();
+        lesson.panel.remove();
+        Object.assign(lesson, { definition: null, progress: null, pending: null, panel: null });
     }
 
-    function openDisclosure(button, content) {
-        button.setAttribute('aria-expanded', 'true');
-        content.hidden = false;
-        
-        // Update button text for inline disclosures
-        if (content.classList.contains('disclosure-inline')) {
-            const buttonText = button.childNodes[0];
-            if (buttonText && buttonText.textContent.includes('Show')) {
-                buttonText.textContent = buttonText.textContent.replace('Show', 'Hide');
+    function loadLessonProgress(id) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(lessonConfig.storagePrefix + id));
+            if (saved && Array.isArray(saved.completed)) return saved;
+        } catch (error) {
+            // Storage can be unavailable (private browsing) or hold stale data; start fresh
+        }
+        return { completed: [], hintsUsed: {}, startedAt: Date.now(), finishedAt: null };
+    }
+
+    function saveLessonProgress() {
+        try {
+            localStorage.setItem(lessonConfig.storagePrefix + lesson.definition.id, JSON.stringify(lesson.progress));
+        } catch (error) {
+            // Progress just isn't kept between visits
+        }
+    }
+
+    function getStepId(step, index) {
+        return step.id || `step-${index + 1}`;
+    }
+
+    function getFirstIncompleteStep() {
+        const index = lesson.definition.steps.findIndex((step, i) => !lesson.progress.completed.includes(getStepId(step, i)));
+        return index === -1 ? lesson.definition.steps.length : index;
+    }
+
+    function getCurrentStep() {
+        return lesson.definition.steps[lesson.stepIndex];
+    }
+
+    // Checks still waiting to be met; an "all" check lists several that can happen in any order
+    function resetPendingChecks() {
+        const check = getCurrentStep()?.check;
+        lesson.pending = check ? (check.type === 'all' ? [...check.checks] : [check]) : [];
+    }
+
+    function startLessonListeners() {
+        lesson.listeners = createListenerGroup();
+
+        // Remember how the learner last interacted, for keyboard-only steps
+        lesson.listeners.add(document, 'keydown', e => {
+            lesson.lastInput = 'keyboard';
+            handleLessonActivity('keydown', e.target, e);
+        }, true);
+        lesson.listeners.add(document, 'pointerdown', () => {
+            lesson.lastInput = 'pointer';
+        }, true);
+        lesson.listeners.add(document, 'mousedown', () => {
+            lesson.lastInput = 'pointer';
+        }, true);
+        lesson.listeners.add(document, 'focusin', e => handleLessonActivity('focus', e.target, e));
+
+        // Widget events such as accessibleui:tabchange
+        ['open', 'close', 'tabchange', 'tabclose', 'invalid', 'submit'].forEach(type => {
+            lesson.listeners.add(document, EVENT_PREFIX + type, e => handleLessonActivity('event', e.target, e));
+        });
+
+        lesson.observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => handleLessonActivity('attribute', mutation.target, mutation));
+        });
+        lesson.observer.observe(document.body, { subtree: true, attributes: true });
+    }
+
+    function matchesCheck(check, kind, target, source) {
+        if (target.nodeType !== Node.ELEMENT_NODE || lesson.panel.contains(target)) return false;
+
+        const withinSelector = !check.selector || target.closest(check.selector);
+        switch (check.type) {
+            case 'focus':
+                return kind === 'focus' && Boolean(target.matches(check.selector));
+            case 'keydown':
+                return kind === 'keydown' && Boolean(withinSelector) &&
+                    [].concat(check.key).includes(source.key);
+            case 'attribute':
+                return kind === 'attribute' &&
+                    source.attributeName === check.attribute &&
+                    target.matches(check.selector) &&
+                    (check.value === undefined || target.getAttribute(check.attribute) === String(check.value));
+            case 'event':
+                return kind === 'event' &&
+                    source.type === EVENT_PREFIX + check.event &&
+                    (!check.selector || target.matches(check.selector));
+            default:
+                return false;
+        }
+    }
+
+    function handleLessonActivity(kind, target, source) {
+        if (!lesson.definition || !lesson.pending?.length) return;
+
+        const step = getCurrentStep();
+        const met = lesson.pending.find(check => matchesCheck(check, kind, target, source));
+        if (!met) return;
+
+        if (step.keyboardOnly && lesson.lastInput === 'pointer') {
+            setLessonFeedback(getMessage('lesson-keyboard-only'));
+            return;
+        }
+
+        lesson.pending.splice(lesson.pending.indexOf(met), 1);
+        if (!lesson.pending.length) {
+            // Let the widget finish reacting before the panel changes
+            setTimeout(completeLessonStep, 0);
+        }
+    }
+
+    function completeLessonStep() {
+        const step = getCurrentStep();
+        const stepId = getStepId(step, lesson.stepIndex);
+
+        if (!lesson.progress.completed.includes(stepId)) {
+            lesson.progress.completed.push(stepId);
+        }
+        lesson.stepIndex = getFirstIncompleteStep();
+
+        const isFinished = lesson.stepIndex >= lesson.definition.steps.length;
+        if (isFinished) {
+            lesson.progress.finishedAt = Date.now();
+        }
+        saveLessonProgress();
+
+        announce(getMessage('lesson-step-complete', { step: step.title }));
+        dispatchWidgetEvent(lesson.panel, 'lessonstep', { lesson: lesson.definition.id, step: stepId });
+
+        if (isFinished) {
+            showLessonSummary();
+            dispatchWidgetEvent(lesson.panel, 'lessoncomplete', { lesson: lesson.definition.id });
+        } else {
+            showLessonStep();
+        }
+    }
+
+    function renderLessonPanel() {
+        const panel = document.createElement('aside');
+        panel.id = 'aui-lesson';
+        panel.className = 'lesson-panel';
+        panel.setAttribute('data-aui-tool', '');
+        panel.setAttribute('aria-labelledby', 'aui-lesson-title');
+
+        const title = document.createElement('h2');
+        title.id = 'aui-lesson-title';
+        title.className = 'lesson-title';
+        title.textContent = lesson.definition.title || getMessage('lesson-untitled');
+
+        const body = document.createElement('div');
+        body.className = 'lesson-body';
+
+        const actions = document.createElement('div');
+        actions.className = 'lesson-actions';
+        [['hint', 'lesson-show-hint'], ['skip', 'lesson-skip'], ['restart', 'lesson-restart'], ['close', 'lesson-close']].forEach(([action, key]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'lesson-button';
+            button.setAttribute('data-lesson-action', action);
+            button.textContent = getMessage(key);
+            actions.appendChild(button);
+        });
+
+        panel.append(title, body, actions);
+        document.body.appendChild(panel);
+        lesson.panel = panel;
+
+        panel.addEventListener('click', e => {
+            const action = e.target.closest('[data-lesson-action]')?.getAttribute('data-lesson-action');
+            if (action === 'hint') {
+                showLessonHint();
+            } else if (action === 'skip') {
+                completeLessonStep();
+            } else if (action === 'restart') {
+                restartLesson();
+            } else if (action === 'close') {
+                stopLesson();
+            }
+        });
+    }
+
+    function showLessonStep() {
+        const step = getCurrentStep();
+        const { steps } = lesson.definition;
+        const body = lesson.panel.querySelector('.lesson-body');
+        resetPendingChecks();
+
+        const progress = document.createElement('p');
+        progress.className = 'lesson-progress';
+        progress.textContent = getMessage('lesson-progress', { step: lesson.stepIndex + 1, total: steps.length });
+
+        const heading = document.createElement('h3');
+        heading.className = 'lesson-step-title';
+        heading.textContent = step.title;
+
+        const instructions = document.createElement('p');
+        instructions.textContent = step.instructions || '';
+
+        const hints = document.createElement('ul');
+        hints.className = 'lesson-hints';
+
+        // Feedback is polite so it never interrupts what the learner is doing
+        const feedback = document.createElement('p');
+        feedback.className = 'lesson-feedback';
+        feedback.setAttribute('role', 'status');
+
+        body.replaceChildren(progress, heading, instructions, hints, feedback);
+        lesson.panel.querySelectorAll('[data-lesson-action="hint"], [data-lesson-action="skip"]').forEach(button => {
+            button.hidden = false;
+        });
+
+        // Hints already used on this step stay visible after a reload
+        const used = lesson.progress.hintsUsed[getStepId(step, lesson.stepIndex)] || 0;
+        (step.hints || []).slice(0, used).forEach(hint => appendLessonHint(hints, hint));
+        updateHintButton();
+    }
+
+    function appendLessonHint(list, hint) {
+        const item = document.createElement('li');
+        item.textContent = hint;
+        list.appendChild(item);
+    }
+
+    function showLessonHint() {
+        const step = getCurrentStep();
+        const stepId = getStepId(step, lesson.stepIndex);
+        const used = lesson.progress.hintsUsed[stepId] || 0;
+        const hint = step.hints?.[used];
+        if (!hint) return;
+
+        lesson.progress.hintsUsed[stepId] = used + 1;
+        saveLessonProgress();
+        appendLessonHint(lesson.panel.querySelector('.lesson-hints'), hint);
+        announce(getMessage('lesson-hint', { hint }));
+        updateHintButton();
+    }
+
+    function updateHintButton() {
+        const step = getCurrentStep();
+        const button = lesson.panel.querySelector('[data-lesson-action="hint"]');
+        const used = lesson.progress.hintsUsed[getStepId(step, lesson.stepIndex)] || 0;
+        const remaining = (step.hints || []).length - used;
+
+        // aria-disabled rather than disabled, so a focused button keeps focus
+        button.setAttribute('aria-disabled', String(remaining <= 0));
+        button.textContent = remaining > 0 ? getMessage('lesson-hints-left', { count: remaining }) : getMessage('lesson-no-hints');
+    }
+
+    function setLessonFeedback(message) {
+        const feedback = lesson.panel.querySelector('.lesson-feedback');
+        if (feedback) feedback.textContent = message;
+    }
+
+    function showLessonSummary() {
+        const { steps } = lesson.definition;
+        const body = lesson.panel.querySelector('.lesson-body');
+        const totalHints = Object.values(lesson.progress.hintsUsed).reduce((sum, count) => sum + count, 0);
+        const minutes = Math.max(1, Math.round(((lesson.progress.finishedAt || Date.now()) - lesson.progress.startedAt) / 60000));
+
+        const heading = document.createElement('h3');
+        heading.className = 'lesson-step-title';
+        heading.tabIndex = -1;
+        heading.textContent = getMessage('lesson-complete');
+
+        const summary = document.createElement('p');
+        summary.textContent = getMessage('lesson-summary', {
+            count: steps.length,
+            duration: getMessage('lesson-minutes', { count: minutes }),
+            hints: getMessage('lesson-hints-used', { count: totalHints })
+        });
+
+        const list = document.createElement('ol');
+        list.className = 'lesson-summary';
+        steps.forEach((step, index) => {
+            const item = document.createElement('li');
+            const hints = lesson.progress.hintsUsed[getStepId(step, index)] || 0;
+            item.textContent = hints
+                ? getMessage('lesson-step-hints', { step: step.title, hints: getMessage('lesson-hints-used', { count: hints }) })
+                : step.title;
+            list.appendChild(item);
+        });
+
+        // Hiding the step buttons must not strand focus on them
+        const focusWasInPanel = lesson.panel.contains(document.activeElement);
+        body.replaceChildren(heading, summary, list);
+        lesson.panel.querySelectorAll('[data-lesson-action="hint"], [data-lesson-action="skip"]').forEach(button => {
+            button.hidden = true;
+        });
+        if (focusWasInPanel) {
+            heading.focus();
+        }
+        lesson.pending = [];
+        announce(getMessage('lesson-finished', { lesson: lesson.definition.title || lesson.definition.id }));
+    }
+
+    function restartLesson() {
+        lesson.progress = { completed: [], hintsUsed: {}, startedAt: Date.now(), finishedAt: null };
+        lesson.stepIndex = 0;
+        saveLessonProgress();
+        showLessonStep();
+        // The restart button stays put, so focus is not disturbed
+        announce(getMessage('lesson-restarted', { step: getCurrentStep().title }));
+    }
+
+    // Accessibility audit: structural checks that can run on demand, in the page or headless
+    const auditConfig = {
+        idrefAttributes: ['aria-controls', 'aria-labelledby', 'aria-describedby', 'aria-owns', 'aria-activedescendant', 'for'],
+        controlSelector: [
+            'a[href]',
+            'button',
+            'input:not([type="hidden"])',
+            'select',
+            'textarea',
+            '[role="button"]', '[role="checkbox"]', '[role="combobox"]', '[role="link"]', '[role="menuitem"]',
+            '[role="radio"]', '[role="slider"]', '[role="switch"]', '[role="tab"]', '[role="textbox"]'
+        ].join(','),
+        landmarkRoles: ['banner', 'complementary', 'contentinfo', 'form', 'main', 'navigation', 'region', 'search']
+    };
+
+    // Elements added by the page's own tooling panels are not audited
+    function isAuditable(element) {
+        return !element.closest('[data-aui-tool]');
+    }
+
+    // A selector that finds the element again, for reports and jsdom assertions
+    function getElementSelector(element) {
+        const parts = [];
+
+        for (let node = element; node && node !== document.documentElement; node = node.parentElement) {
+            if (node.id && document.querySelectorAll(`[id="${node.id}"]`).length === 1) {
+                parts.unshift(`[id="${node.id}"]`);
+                break;
+            }
+
+            const tag = node.tagName.toLowerCase();
+            const sameTag = [...node.parentElement.children].filter(sibling => sibling.tagName === node.tagName);
+            parts.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(node) + 1})` : tag);
+        }
+
+        return parts.join(' > ');
+    }
+
+    function createIssue(rule, severity, element, message, details = {}) {
+        return { rule, severity, message, selector: getElementSelector(element), details };
+    }
+
+    const auditRules = {
+        'broken-idref': root => {
+            const issues = [];
+            auditConfig.idrefAttributes.forEach(attribute => {
+                root.querySelectorAll(`[${attribute}]`).forEach(element => {
+                    if (!isAuditable(element)) return;
+                    // for only references ids on labels and outputs
+                    if (attribute === 'for' && !element.matches('label, output')) return;
+
+                    element.getAttribute(attribute).split(/\s+/).filter(Boolean).forEach(id => {
+                        if (!document.getElementById(id)) {
+                            issues.push(createIssue('broken-idref', 'error', element,
+                                getMessage('audit-broken-idref', { attribute, id }), { attribute, id }));
+                        }
+                    });
+                });
+            });
+            return issues;
+        },
+
+        'duplicate-id': root => {
+            const seen = new Map();
+            root.querySelectorAll('[id]').forEach(element => {
+                if (!isAuditable(element)) return;
+                seen.set(element.id, [...(seen.get(element.id) || []), element]);
+            });
+
+            return [...seen].filter(([, elements]) => elements.length > 1).flatMap(([id, elements]) =>
+                elements.slice(1).map(element => createIssue('duplicate-id', 'error', element,
+                    getMessage('audit-duplicate-id', { id, count: elements.length }), { id, count: elements.length })));
+        },
+
+        // Controls sharing a name across groups are submitted and announced as one group
+        'name-collision': root => {
+            const groups = new Map();
+            root.querySelectorAll('input[name], select[name], textarea[name]').forEach(control => {
+                if (!isAuditable(control) || control.type === 'hidden') return;
+                const key = `${control.form?.id || ''}:${control.name}`;
+                groups.set(key, [...(groups.get(key) || []), control]);
+            });
+
+            const getKind = control => control.getAttribute('role') || control.type;
+            // Fieldsets nested in the group's fieldset are still the same group
+            const isInGroup = (control, first) => {
+                const fieldset = first.closest('fieldset');
+                return fieldset ? fieldset.contains(control) : !control.closest('fieldset');
+            };
+
+            // Controls outside the first one's fieldset, or of another kind, have collided with its group
+            return [...groups.values()].flatMap(controls => controls
+                .filter(control => !isInGroup(control, controls[0]) || getKind(control) !== getKind(controls[0]))
+                .map(control => createIssue('name-collision', 'warning', control,
+                    getMessage('audit-name-collision', { name: control.name, group: controls[0].id || controls[0].name }),
+                    { name: control.name })));
+        },
+
+        'broken-link': root => [...root.querySelectorAll('a[href^="#"]')]
+            .filter(link => isAuditable(link) && link.getAttribute('href').length > 1)
+            .filter(link => {
+                const target = decodeURIComponent(link.getAttribute('href').slice(1));
+                return !document.getElementById(target) && !document.querySelector(`a[name="${target}"]`);
+            })
+            .map(link => createIssue('broken-link', 'error', link,
+                getMessage('audit-broken-link', { link: getAccessibleName(link), href: link.getAttribute('href') }),
+                { href: link.getAttribute('href') })),
+
+        'heading-skip': root => {
+            const issues = [];
+            let previousLevel = 0;
+
+            root.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]').forEach(heading => {
+                if (!isAuditable(heading)) return;
+
+                const level = Number(heading.getAttribute('aria-level') || heading.tagName.slice(1)) || 2;
+                if (previousLevel && level > previousLevel + 1) {
+                    issues.push(createIssue('heading-skip', 'warning', heading,
+                        getMessage('audit-heading-skip', { heading: getAccessibleName(heading), from: previousLevel, to: level }),
+                        { from: previousLevel, to: level }));
+                }
+                previousLevel = level;
+            });
+            return issues;
+        },
+
+        'unlabeled-control': root => [...root.querySelectorAll(auditConfig.controlSelector)]
+            .filter(control => isAuditable(control) && !control.closest('[aria-hidden="true"]'))
+            .filter(control => !getAccessibleName(control))
+            .map(control => createIssue('unlabeled-control', 'error', control,
+                getMessage('audit-unlabeled-control', { role: getRole(control) }), { role: getRole(control) })),
+
+        // Several landmarks of one role need labels to tell them apart
+        'landmark-label': root => {
+            const byRole = new Map();
+            root.querySelectorAll('header, footer, main, nav, aside, section, form, [role]').forEach(element => {
+                const role = getRole(element);
+                if (!isAuditable(element) || !auditConfig.landmarkRoles.includes(role)) return;
+                byRole.set(role, [...(byRole.get(role) || []), element]);
+            });
+
+            return [...byRole].filter(([, landmarks]) => landmarks.length > 1).flatMap(([role, landmarks]) => {
+                const names = landmarks.map(getAccessibleName);
+                return landmarks.flatMap((landmark, index) => {
+                    if (!names[index]) {
+                        return [createIssue('landmark-label', 'error', landmark,
+                            getMessage('audit-landmark-unlabeled', { role, count: landmarks.length }), { role })];
+                    }
+                    if (names.indexOf(names[index]) !== index) {
+                        return [createIssue('landmark-label', 'warning', landmark,
+                            getMessage('audit-landmark-duplicate', { role, name: names[index] }), { role, name: names[index] })];
+                    }
+                    return [];
+                });
+            });
+        },
+
+        // A stray </p> makes the parser insert an empty paragraph
+        'empty-paragraph': root => [...root.querySelectorAll('p')]
+            .filter(paragraph => isAuditable(paragraph) && !paragraph.childNodes.length)
+            .map(paragraph => createIssue('empty-paragraph', 'warning', paragraph,
+                getMessage('audit-empty-paragraph')))
+    };
+
+    /**
+     * Run the audit rules and return a JSON-serializable report
+     * @param {Object} [config]
+     * @param {Element|Document} [config.root=document] - Subtree to audit
+     * @param {string[]} [config.rules] - Rule names to run; defaults to all
+     * @returns {{ url: string, summary: Object, issues: Object[] }}
+     */
+    function runAudit({ root = document, rules = Object.keys(auditRules) } = {}) {
+        const issues = rules.filter(rule => auditRules[rule]).flatMap(rule => auditRules[rule](root));
+        const byRule = {};
+        issues.forEach(issue => {
+            byRule[issue.rule] = (byRule[issue.rule] || 0) + 1;
+        });
+
+        return {
+            url: document.location.href,
+            summary: {
+                total: issues.length,
+                errors: issues.filter(issue => issue.severity === 'error').length,
+                warnings: issues.filter(issue => issue.severity === 'warning').length,
+                byRule
+            },
+            issues
+        };
+    }
+
+    function initAudit() {
+        if (new URLSearchParams(window.location.search).has('audit')) {
+            showAuditReport();
+        }
+    }
+
+    /**
+     * Run the audit and show its report in a panel
+     * @param {Object} [config] - Passed to runAudit
+     * @returns {Object} The report
+     */
+    function showAuditReport(config) {
+        const report = runAudit(config);
+        document.getElementById('aui-audit')?.remove();
+
+        const panel = document.createElement('aside');
+        panel.id = 'aui-audit';
+        panel.className = 'audit-panel';
+        panel.setAttribute('data-aui-tool', '');
+        panel.setAttribute('aria-labelledby', 'aui-audit-title');
+
+        const title = document.createElement('h2');
+        title.id = 'aui-audit-title';
+        title.className = 'audit-title';
+        title.tabIndex = -1;
+        title.textContent = getMessage('audit-title');
+
+        const summary = document.createElement('p');
+        summary.className = 'audit-summary';
+        summary.textContent = report.summary.total
+            ? getMessage('audit-summary', {
+                errors: getMessage('audit-errors', { count: report.summary.errors }),
+                warnings: getMessage('audit-warnings', { count: report.summary.warnings })
+            })
+            : getMessage('audit-clean');
+
+        const list = document.createElement('ul');
+        list.className = 'audit-issues';
+        report.issues.forEach(issue => {
+            const item = document.createElement('li');
+            item.className = `audit-issue audit-${issue.severity}`;
+
+            const rule = document.createElement('span');
+            rule.className = 'audit-rule';
+            rule.textContent = getMessage('audit-rule', { severity: getMessage(`audit-${issue.severity}`), rule: issue.rule });
+
+            const show = document.createElement('button');
+            show.type = 'button';
+            show.className = 'audit-button';
+            show.textContent = getMessage('audit-show');
+            show.setAttribute('aria-describedby', `aui-audit-issue-${list.children.length}`);
+            show.addEventListener('click', () => revealAuditTarget(issue.selector));
+
+            const message = document.createElement('span');
+            message.id = `aui-audit-issue-${list.children.length}`;
+            message.textContent = issue.message;
+
+            item.append(rule, ' ', message, ' ', show);
+            list.appendChild(item);
+        });
+
+        const json = document.createElement('details');
+        const jsonSummary = document.createElement('summary');
+        jsonSummary.textContent = getMessage('audit-json');
+        const pre = document.createElement('pre');
+        pre.className = 'audit-json';
+        pre.textContent = JSON.stringify(report, null, 2);
+        json.append(jsonSummary, pre);
+
+        const actions = document.createElement('div');
+        actions.className = 'audit-actions';
+        ['rerun', 'close'].forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'audit-button';
+            button.textContent = getMessage(`audit-${action}`);
+            button.addEventListener('click', () => {
+                if (action === 'rerun') {
+                    showAuditReport(config);
+                } else {
+                    panel.remove();
+                }
+            });
+            actions.appendChild(button);
+        });
+
+        panel.append(title, summary, list, json, actions);
+        document.body.appendChild(panel);
+        title.focus();
+        announce(getMessage('audit-finished', { summary: summary.textContent }));
+
+        return report;
+    }
+
+    // Focus the element an issue points at
+    function revealAuditTarget(selector) {
+        const target = document.querySelector(selector);
+        if (target) focusTarget(target);
+    }
+
+    // Keyboard recorder and replayer for regression testing the widgets
+    const recorderConfig = {
+        trackedAttributes: [
+            'aria-expanded', 'aria-selected', 'aria-checked', 'aria-pressed', 'aria-invalid',
+            'aria-hidden', 'aria-disabled', 'aria-busy', 'hidden', 'inert', 'tabindex', 'data-open'
+        ],
+        settleDelay: 250
+    };
+
+    const recorder = {
+        collector: null,
+        steps: [],
+        start: null,
+        listeners: null
+    };
+
+    function getFocusSelector() {
+        const active = document.activeElement;
+        return active && active !== document.body ? getElementSelector(active) : 'body';
+    }
+
+    /**
+     * Collects the net ARIA and focus changes between keystrokes.
+     * Attributes that change and change back within one step are left out.
+     */
+    function createStateCollector() {
+        let changes = new Map();
+
+        const observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                const target = mutation.target;
+                if (target.closest('[data-aui-tool], [data-announcer]')) return;
+
+                const key = `${getElementSelector(target)}|${mutation.attributeName}`;
+                if (!changes.has(key)) {
+                    changes.set(key, { initial: mutation.oldValue, element: target, attribute: mutation.attributeName });
+                }
+            });
+        });
+        observer.observe(document.body, {
+            subtree: true,
+            attributes: true,
+            attributeOldValue: true,
+            attributeFilter: recorderConfig.trackedAttributes
+        });
+
+        return {
+            // The state transcript since the last call
+            takeTranscript() {
+                const transcript = {
+                    focus: getFocusSelector(),
+                    changes: [...changes]
+                        .map(([key, change]) => ({
+                            selector: key.slice(0, key.lastIndexOf('|')),
+                            attribute: change.attribute,
+                            value: change.element.getAttribute(change.attribute),
+                            initial: change.initial
+                        }))
+                        .filter(change => change.value !== change.initial)
+                        .map(({ selector, attribute, value }) => ({ selector, attribute, value }))
+                        .sort((a, b) => `${a.selector}|${a.attribute}`.localeCompare(`${b.selector}|${b.attribute}`))
+                };
+                changes = new Map();
+                return transcript;
+            },
+            disconnect() {
+                observer.disconnect();
+            }
+        };
+    }
+
+    function describeKey(e) {
+        return {
+            key: e.key,
+            code: e.code,
+            shiftKey: e.shiftKey,
+            ctrlKey: e.ctrlKey,
+            altKey: e.altKey,
+            metaKey: e.metaKey
+        };
+    }
+
+    /**
+     * Start recording keystrokes and the state transitions that follow them
+     */
+    function startRecording() {
+        if (recorder.collector) return;
+
+        recorder.steps = [];
+        recorder.start = { focus: getFocusSelector() };
+        recorder.collector = createStateCollector();
+        recorder.listeners = createListenerGroup();
+
+        recorder.listeners.add(document, 'keydown', e => {
+            if (e.target.closest?.('[data-aui-tool]')) return;
+
+            // The changes so far belong to the previous keystroke
+            finishRecordedStep();
+
+            const step = { ...describeKey(e), target: getFocusSelector(), expected: null };
+            recorder.steps.push(step);
+
+            // Focus is read once widgets have settled, the same moment replay() reads it
+            step.focusTimer = setTimeout(() => {
+                step.settledFocus = getFocusSelector();
+            }, recorderConfig.settleDelay);
+        }, true);
+
+        announce(getMessage('recorder-started'));
+    }
+
+    function finishRecordedStep() {
+        const transcript = recorder.collector.takeTranscript();
+        const step = recorder.steps[recorder.steps.length - 1];
+        if (!step) return;
+
+        clearTimeout(step.focusTimer);
+        step.expected = { ...transcript, focus: step.settledFocus || transcript.focus };
+        delete step.focusTimer;
+        delete step.settledFocus;
+    }
+
+    /**
+     * Stop recording
+     * @returns {Object|null} The recorded script, ready for JSON.stringify and replay()
+     */
+    function stopRecording() {
+        if (!recorder.collector) return null;
+
+        finishRecordedStep();
+
+        // Keys that only moved focus into the recorder's own controls are not part of the script
+        while (recorder.steps.length &&
+            document.querySelector(recorder.steps[recorder.steps.length - 1].expected.focus)?.closest('[data-aui-tool]')) {
+            recorder.steps.pop();
+        }
+
+        recorder.collector.disconnect();
+        recorder.listeners.removeAll();
+        recorder.collector = null;
+        announce(getMessage('recorder-stopped', { count: recorder.steps.length }));
+
+        return {
+            version: 1,
+            url: window.location.pathname,
+            start: recorder.start,
+            steps: recorder.steps
+        };
+    }
+
+    // Default browser actions that synthetic key events don't trigger on their own
+    function performDefaultKeyAction(target, step) {
+        if (step.key === 'Tab') {
+            const focusable = getFocusableElements(document.body);
+            const index = focusable.indexOf(target);
+            const next = focusable[index + (step.shiftKey ? -1 : 1)] || focusable[step.shiftKey ? focusable.length - 1 : 0];
+            next?.focus();
+        } else if (step.key === 'Enter' && target.matches('a[href], button, input[type="submit"], input[type="button"]')) {
+            target.click();
+        } else if (step.key === ' ' && target.matches('button, input[type="checkbox"], input[type="radio"], summary')) {
+            target.click();
+        } else if (target.matches('input, textarea') && !['checkbox', 'radio'].includes(target.type)) {
+            if (step.key === 'Backspace') {
+                target.value = target.value.slice(0, -1);
+            } else if (step.key.length === 1 && !step.ctrlKey && !step.metaKey) {
+                target.value += step.key;
+            } else {
+                return;
+            }
+            target.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+    }
+
+    function compareTranscripts(expected, actual) {
+        const differences = [];
+
+        if (expected.focus !== actual.focus) {
+            differences.push({ kind: 'focus', expected: expected.focus, actual: actual.focus });
+        }
+
+        const toMap = changes => new Map(changes.map(change => [`${change.selector}|${change.attribute}`, change]));
+        const expectedChanges = toMap(expected.changes);
+        const actualChanges = toMap(actual.changes);
+
+        new Set([...expectedChanges.keys(), ...actualChanges.keys()]).forEach(key => {
+            const wanted = expectedChanges.get(key);
+            const got = actualChanges.get(key);
+            if (wanted?.value !== got?.value || !wanted !== !got) {
+                const [selector, attribute] = [key.slice(0, key.lastIndexOf('|')), key.slice(key.lastIndexOf('|') + 1)];
+                differences.push({
+                    kind: 'attribute',
+                    selector,
+                    attribute,
+                    expected: wanted ? wanted.value : '(unchanged)',
+                    actual: got ? got.value : '(unchanged)'
+                });
+            }
+        });
+
+        return differences;
+    }
+
+    /**
+     * Replay a recorded script and diff the state transcript against the recording
+     * @param {Object|string} script - Script from stopRecording(), or its JSON
+     * @param {Object} [config]
+     * @param {number} [config.settleDelay] - Time in ms widgets get to react to each key
+     * @returns {Promise<{ passed: boolean, steps: number, failures: Object[] }>}
+     */
+    async function replay(script, { settleDelay = recorderConfig.settleDelay } = {}) {
+        const { start, steps } = typeof script === 'string' ? JSON.parse(script) : script;
+        const wait = () => new Promise(resolve => setTimeout(resolve, settleDelay));
+
+        if (start?.focus && start.focus !== 'body') {
+            document.querySelector(start.focus)?.focus();
+        }
+
+        const collector = createStateCollector();
+        const failures = [];
+
+        for (const [index, step] of steps.entries()) {
+            collector.takeTranscript();
+
+            let target = document.activeElement;
+            if (step.target !== getFocusSelector()) {
+                const recordedTarget = document.querySelector(step.target);
+                recordedTarget?.focus();
+                target = recordedTarget || target;
+            }
+
+            const eventInit = { ...describeKey(step), bubbles: true, cancelable: true };
+            const notPrevented = target.dispatchEvent(new KeyboardEvent('keydown', eventInit));
+            if (notPrevented) {
+                performDefaultKeyAction(target, step);
+            }
+            target.dispatchEvent(new KeyboardEvent('keyup', eventInit));
+
+            await wait();
+
+            const differences = compareTranscripts(step.expected || { focus: step.target, changes: [] }, collector.takeTranscript());
+            if (differences.length) {
+                failures.push({ step: index + 1, key: step.key, target: step.target, differences });
+            }
+        }
+
+        collector.disconnect();
+        const report = { passed: failures.length === 0, steps: steps.length, failures };
+        announce(report.passed
+            ? getMessage('replay-passed', { count: steps.length })
+            : getMessage('replay-failed', { failures: failures.length, count: steps.length }));
+        return report;
+    }
+
+    function initRecorder() {
+        if (new URLSearchParams(window.location.search).has('recorder')) {
+            showRecorderPanel();
+        }
+    }
+
+    // Panel with recording controls, a download link and a box to paste scripts for replay
+    function showRecorderPanel() {
+        if (document.getElementById('aui-recorder')) return;
+
+        const panel = document.createElement('aside');
+        panel.id = 'aui-recorder';
+        panel.className = 'recorder-panel';
+        panel.setAttribute('data-aui-tool', '');
+        panel.setAttribute('aria-labelledby', 'aui-recorder-title');
+
+        const title = document.createElement('h2');
+        title.id = 'aui-recorder-title';
+        title.className = 'recorder-title';
+        title.textContent = getMessage('recorder-title');
+
+        const record = document.createElement('button');
+        record.type = 'button';
+        record.className = 'recorder-button';
+        record.setAttribute('aria-pressed', 'false');
+        record.textContent = getMessage('recorder-record');
+
+        const download = document.createElement('a');
+        download.className = 'recorder-download';
+        download.download = 'keyboard-script.json';
+        download.textContent = getMessage('recorder-download');
+        download.hidden = true;
+
+        const scriptLabel = document.createElement('label');
+        scriptLabel.htmlFor = 'aui-recorder-script';
+        scriptLabel.textContent = getMessage('recorder-script');
+
+        const scriptField = document.createElement('textarea');
+        scriptField.id = 'aui-recorder-script';
+        scriptField.rows = 4;
+
+        const replayButton = document.createElement('button');
+        replayButton.type = 'button';
+        replayButton.className = 'recorder-button';
+        replayButton.textContent = getMessage('recorder-replay');
+
+        const result = document.createElement('pre');
+        result.className = 'recorder-result';
+        result.setAttribute('role', 'status');
+
+        record.addEventListener('click', () => {
+            if (record.getAttribute('aria-pressed') === 'true') {
+                const script = stopRecording();
+                const json = JSON.stringify(script, null, 2);
+                scriptField.value = json;
+                download.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+                download.hidden = false;
+                record.setAttribute('aria-pressed', 'false');
+            } else {
+                startRecording();
+                record.setAttribute('aria-pressed', 'true');
+            }
+        });
+
+        replayButton.addEventListener('click', async () => {
+            try {
+                const report = await replay(scriptField.value);
+                result.textContent = report.passed
+                    ? getMessage('replay-matched', { count: report.steps })
+                    : JSON.stringify(report.failures, null, 2);
+            } catch (error) {
+                result.textContent = getMessage('replay-error', { error: error.message });
+            }
+        });
+
+        panel.append(title, record, download, scriptLabel, scriptField, replayButton, result);
+        document.body.appendChild(panel);
+    }
+
+    // Preferences: each follows its system setting until the user chooses, and choices are saved
+    const preferenceConfig = {
+        storageKey: 'aui-preferences',
+        switchSelector: '[data-aui-preference]',
+        resetSelector: '[data-aui-preference-reset]',
+        // attribute is set on <html> to values[0] when off and values[1] when on;
+        // labels are the preference-<name> messages
+        definitions: {
+            'dark-mode': {
+                query: '(prefers-color-scheme: dark)',
+                attribute: 'data-theme',
+                values: ['light', 'dark']
+            },
+            'high-contrast': {
+                query: '(prefers-contrast: more)',
+                attribute: 'data-contrast',
+                values: ['normal', 'more']
+            },
+            'reduced-motion': {
+                query: '(prefers-reduced-motion: reduce)',
+                attribute: 'data-motion',
+                values: ['normal', 'reduce']
+            },
+            'text-spacing': {
+                attribute: 'data-text-spacing',
+                values: ['normal', 'wide']
+            },
+            notifications: {
+                defaultValue: true
+            },
+            // Turns off toast time limits (WCAG 2.2.1)
+            'persistent-notifications': {
+                defaultValue: false
+            },
+            // Single-key shortcuts can be switched off (WCAG 2.1.4)
+            'character-shortcuts': {
+                defaultValue: true
+            }
+        }
+    };
+
+    const preferences = {
+        saved: {},
+        queries: {}
+    };
+
+    // Runs as the script loads in <head>, so the first paint already uses the right theme and spacing
+    function initPreferences() {
+        preferences.saved = loadPreferences();
+
+        Object.entries(preferenceConfig.definitions).forEach(([name, definition]) => {
+            if (definition.query && window.matchMedia) {
+                const query = window.matchMedia(definition.query);
+                preferences.queries[name] = query;
+                // A system change only matters while the user hasn't made their own choice
+                const handleChange = () => {
+                    if (!(name in preferences.saved)) applyPreference(name);
+                };
+                // Older engines only have addListener, and this runs before any widget is set up
+                if (query.addEventListener) {
+                    query.addEventListener('change', handleChange);
+                } else {
+                    query.addListener?.(handleChange);
+                }
+            }
+            applyPreference(name);
+        });
+    }
+
+    // Switches marked data-aui-preference="<name>" and buttons marked data-aui-preference-reset
+    function initPreferenceControls() {
+        Object.keys(preferenceConfig.definitions).forEach(applyPreference);
+
+        document.addEventListener('change', e => {
+            const control = e.target.closest(preferenceConfig.switchSelector);
+            if (control) {
+                setPreference(control.getAttribute('data-aui-preference'), control.checked);
+            }
+        });
+
+        document.addEventListener('click', e => {
+            if (e.target.closest(preferenceConfig.resetSelector)) {
+                resetPreferences();
+            }
+        });
+    }
+
+    function loadPreferences() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(preferenceConfig.storageKey));
+            if (saved && typeof saved === 'object') return saved;
+        } catch (error) {
+            // Storage can be unavailable (private browsing) or hold stale data; follow the system
+        }
+        return {};
+    }
+
+    function savePreferences() {
+        try {
+            localStorage.setItem(preferenceConfig.storageKey, JSON.stringify(preferences.saved));
+        } catch (error) {
+            // Choices last until the page is reloaded
+        }
+    }
+
+    /**
+     * Current value of a preference: the user's saved choice, otherwise the system setting
+     * @param {string} name - e.g. 'dark-mode'
+     * @returns {boolean|undefined} undefined for unknown names
+     */
+    function getPreference(name) {
+        const definition = preferenceConfig.definitions[name];
+        if (!definition) return undefined;
+
+        if (typeof preferences.saved[name] === 'boolean') return preferences.saved[name];
+        if (preferences.queries[name]) return preferences.queries[name].matches;
+        return definition.defaultValue ?? false;
+    }
+
+    // Every preference with its label, value and whether it comes from the user or the system
+    function getPreferences() {
+        return Object.fromEntries(Object.keys(preferenceConfig.definitions).map(name => [
+            name,
+            {
+                label: getMessage(`preference-${name}`),
+                enabled: getPreference(name),
+                source: name in preferences.saved ? 'user' : 'system'
+            }
+        ]));
+    }
+
+    // Reflect a preference on <html> and in every switch bound to it
+    function applyPreference(name) {
+        const definition = preferenceConfig.definitions[name];
+        const enabled = getPreference(name);
+
+        if (definition.attribute) {
+            document.documentElement.setAttribute(definition.attribute, definition.values[Number(enabled)]);
+        }
+
+        document.querySelectorAll(preferenceConfig.switchSelector).forEach(control => {
+            if (control.getAttribute('data-aui-preference') === name) {
+                control.checked = enabled;
+            }
+        });
+    }
+
+    /**
+     * Save and apply a preference
+     * @param {string} name - e.g. 'dark-mode', 'high-contrast', 'reduced-motion', 'text-spacing'
+     * @param {boolean|null} enabled - The user's choice, or null to follow the system setting again
+     * @returns {boolean} false for unknown names
+     */
+    function setPreference(name, enabled) {
+        const definition = preferenceConfig.definitions[name];
+        if (!definition) return false;
+
+        if (enabled === null) {
+            delete preferences.saved[name];
+        } else {
+            preferences.saved[name] = Boolean(enabled);
+        }
+        savePreferences();
+        applyPreference(name);
+
+        const value = getPreference(name);
+        announce(getMessage(value ? 'preference-on' : 'preference-off', { label: getMessage(`preference-${name}`) }));
+        dispatchWidgetEvent(document.documentElement, 'preferencechange', {
+            name,
+            enabled: value,
+            source: enabled === null ? 'system' : 'user'
+        });
+        return true;
+    }
+
+    // Forget every choice and follow the system settings again
+    function resetPreferences() {
+        const changed = Object.keys(preferences.saved);
+        preferences.saved = {};
+        savePreferences();
+
+        changed.forEach(name => {
+            applyPreference(name);
+            dispatchWidgetEvent(document.documentElement, 'preferencechange', {
+                name,
+                enabled: getPreference(name),
+                source: 'system'
+            });
+        });
+        announce(getMessage('preferences-reset'));
+    }
+
+    // Live region announcer
+    function initAnnouncer() {
+        ['polite', 'assertive'].forEach(politeness => {
+            if (announcer.regions[politeness]?.isConnected) return;
+            announcer.regions[politeness] = createLiveRegion(politeness);
+        });
+    }
+
+    function createLiveRegion(politeness) {
+        const region = document.createElement('div');
+        region.className = announcerConfig.regionClass;
+        region.setAttribute('aria-live', politeness);
+        region.setAttribute('aria-atomic', 'true');
+        region.setAttribute('data-announcer', politeness);
+        // role=alert implies assertive; role=status implies polite
+        region.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status');
+        document.body.appendChild(region);
+        return region;
+    }
+
+    /**
+     * Queue a message for screen readers
+     * @param {string} message - Text to announce
+     * @param {Object} [options]
+     * @param {string} [options.politeness='polite'] - 'polite' or 'assertive'
+     * @param {boolean|number} [options.debounce=false] - Collapse rapid messages, optionally with a custom delay in ms
+     */
+    function announce(message, options = {}) {
+        const text = String(message || '').trim();
+        if (!text || hasDefect('no-announcements')) return;
+
+        const politeness = options.politeness === 'assertive' ? 'assertive' : 'polite';
+
+        if (options.debounce) {
+            const delay = typeof options.debounce === 'number' ? options.debounce : announcerConfig.debounceDelay;
+            clearTimeout(announcer.debounceTimers[politeness]);
+            announcer.debounceTimers[politeness] = setTimeout(() => {
+                delete announcer.debounceTimers[politeness];
+                enqueueAnnouncement(text, politeness);
+            }, delay);
+            return;
+        }
+
+        enqueueAnnouncement(text, politeness);
+    }
+
+    function enqueueAnnouncement(text, politeness) {
+        // De-duplicate messages that are already waiting or were just spoken
+        const isQueued = announcer.queue.some(item => item.text === text && item.politeness === politeness);
+        const isRepeat = text === announcer.lastMessage &&
+            Date.now() - announcer.lastAnnouncedAt < announcerConfig.dedupeWindow;
+        if (isQueued || isRepeat) return;
+
+        // Assertive messages jump ahead of anything polite
+        if (politeness === 'assertive') {
+            const firstPolite = announcer.queue.findIndex(item => item.politeness === 'polite');
+            announcer.queue.splice(firstPolite === -1 ? announcer.queue.length : firstPolite, 0, { text, politeness });
+        } else {
+            announcer.queue.push({ text, politeness });
+        }
+
+        if (!announcer.isProcessing) {
+            processAnnouncementQueue();
+        }
+    }
+
+    function processAnnouncementQueue() {
+        const next = announcer.queue.shift();
+        if (!next) {
+            announcer.isProcessing = false;
+            return;
+        }
+
+        announcer.isProcessing = true;
+        initAnnouncer();
+
+        const region = announcer.regions[next.politeness];
+        clearTimeout(announcer.clearTimer);
+
+        // Empty the region first so identical text is still treated as a change
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = next.text;
+            announcer.lastMessage = next.text;
+            announcer.lastAnnouncedAt = Date.now();
+
+            announcer.clearTimer = setTimeout(clearLiveRegions, announcerConfig.clearDelay);
+            setTimeout(processAnnouncementQueue, announcerConfig.queueDelay);
+        }, announcerConfig.queueDelay);
+    }
+
+    function clearLiveRegions() {
+        clearTimeout(announcer.clearTimer);
+        Object.values(announcer.regions).forEach(region => {
+            region.textContent = '';
+        });
+    }
+
+    // Drop pending messages and empty both regions
+    function clearAnnouncements() {
+        Object.values(announcer.debounceTimers).forEach(clearTimeout);
+        announcer.debounceTimers = {};
+        announcer.queue = [];
+        clearLiveRegions();
+    }
+
+    // Notifications: transient toasts and persistent banners, announced through the announcer's live regions
+    const notificationConfig = {
+        timeout: 8000, // Default time a toast stays up; 0 keeps every toast until it is dismissed
+        maxToasts: 3, // Toasts shown at once; later ones wait in the queue
+        // Warnings and errors interrupt; info and success wait their turn
+        severities: {
+            info: { politeness: 'polite' },
+            success: { politeness: 'polite' },
+            warning: { politeness: 'assertive' },
+            error: { politeness: 'assertive', persistent: true }
+        }
+    };
+
+    const notifications = {
+        toastRegion: null,
+        bannerRegion: null,
+        open: [],
+        queue: [],
+        paused: false,
+        returnTo: null,
+        listening: false
+    };
+
+    // Empty containers go in first, like the live regions, so nothing waits on a region being created
+    function initNotifications() {
+        if (!notifications.toastRegion?.isConnected) {
+            const toastRegion = document.createElement('div');
+            toastRegion.className = 'notification-region';
+            toastRegion.setAttribute('data-aui-notifications', 'toast');
+
+            // Reading a toast with the pointer or keyboard holds every timer, not just the one underneath
+            toastRegion.addEventListener('mouseenter', pauseNotifications);
+            toastRegion.addEventListener('mouseleave', resumeNotifications);
+            toastRegion.addEventListener('focusin', pauseNotifications);
+            toastRegion.addEventListener('focusin', rememberNotificationReturn);
+            toastRegion.addEventListener('focusout', e => {
+                if (!toastRegion.contains(e.relatedTarget)) resumeNotifications();
+            });
+            document.body.appendChild(toastRegion);
+            notifications.toastRegion = toastRegion;
+        }
+
+        if (!notifications.bannerRegion?.isConnected) {
+            const bannerRegion = document.createElement('div');
+            bannerRegion.className = 'notification-banners';
+            bannerRegion.setAttribute('data-aui-notifications', 'banner');
+            bannerRegion.addEventListener('focusin', rememberNotificationReturn);
+            const main = document.querySelector(selectors.mainContent);
+            main ? main.before(bannerRegion) : document.body.prepend(bannerRegion);
+            notifications.bannerRegion = bannerRegion;
+        }
+
+        if (notifications.listening) return;
+        notifications.listening = true;
+
+        addShortcut('notifications', {
+            keys: 'Alt+Shift+N',
+            messageKey: 'shortcut-notifications',
+            handler: () => focusNotification()
+        });
+
+        // Switching the preference on stops the timers already running
+        document.documentElement.addEventListener(`${EVENT_PREFIX}preferencechange`, e => {
+            if (e.detail.name !== 'persistent-notifications') return;
+            notifications.open.forEach(item => (e.detail.enabled ? stopNotificationTimer(item) : startNotificationTimer(item)));
+        });
+    }
+
+    /**
+     * Show a toast or a banner and announce it
+     * @param {string} message - Text of the notification
+     * @param {Object} [options]
+     * @param {string} [options.severity='info'] - 'info', 'success', 'warning' or 'error'
+     * @param {boolean} [options.banner=false] - Show a persistent banner above the main content instead of a toast
+     * @param {number} [options.timeout] - Milliseconds before a toast closes; 0 keeps it open. Errors default to 0
+     * @param {Array<{label: string, onClick: Function}>} [options.actions] - Buttons, reachable with the notification shortcut
+     * @param {boolean} [options.dismissible=true] - Show a dismiss button and close on Escape
+     * @returns {string|null} Id for dismissNotification(), or null if info notifications are switched off
+     */
+    function notify(message, options = {}) {
+        const text = String(message || '').trim();
+        if (!text) return null;
+
+        const severity = notificationConfig.severities[options.severity] ? options.severity : 'info';
+        // The notifications preference only silences info; anything the user must know still appears
+        if (severity === 'info' && !getPreference('notifications')) return null;
+
+        initNotifications();
+        const defaultTimeout = notificationConfig.severities[severity].persistent ? 0 : notificationConfig.timeout;
+        const item = {
+            id: generateId('notification'),
+            text,
+            severity,
+            banner: Boolean(options.banner),
+            timeout: options.banner ? 0 : Math.max(0, options.timeout ?? defaultTimeout),
+            actions: options.actions || [],
+            dismissible: options.dismissible !== false,
+            timer: null,
+            remaining: 0,
+            startedAt: 0
+        };
+        item.element = createNotificationElement(item);
+
+        if (!item.banner && notifications.open.filter(entry => !entry.banner).length >= notificationConfig.maxToasts) {
+            notifications.queue.push(item);
+        } else {
+            showNotification(item);
+        }
+        return item.id;
+    }
+
+    function createNotificationElement(item) {
+        const element = document.createElement('div');
+        element.id = item.id;
+        element.className = `notification notification-${item.severity}${item.banner ? ' notification-banner' : ''}`;
+        element.setAttribute('role', 'group');
+        element.setAttribute('aria-labelledby', `${item.id}-message`);
+
+        const messageElement = document.createElement('p');
+        messageElement.id = `${item.id}-message`;
+        messageElement.className = 'notification-message';
+        const severityText = document.createElement('span');
+        severityText.className = 'visually-hidden';
+        severityText.textContent = getSeverityPrefix(item.severity);
+        messageElement.append(severityText, item.text);
+        element.appendChild(messageElement);
+
+        if (item.actions.length) {
+            const actions = document.createElement('div');
+            actions.className = 'notification-actions';
+            item.actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'notification-action';
+                button.textContent = action.label;
+                button.addEventListener('click', () => {
+                    // Close first so focus is back where the user was before the action moves it
+                    dismissNotification(item.id, 'action');
+                    action.onClick?.();
+                });
+                actions.appendChild(button);
+            });
+            element.appendChild(actions);
+        }
+
+        if (item.dismissible) {
+            const dismiss = document.createElement('button');
+            dismiss.type = 'button';
+            dismiss.className = 'notification-dismiss';
+            dismiss.setAttribute('aria-label', getMessage('notification-dismiss'));
+            const icon = document.createElement('span');
+            icon.setAttribute('aria-hidden', 'true');
+            icon.textContent = '×';
+            dismiss.appendChild(icon);
+            dismiss.addEventListener('click', () => dismissNotification(item.id, 'user'));
+            element.appendChild(dismiss);
+
+            element.addEventListener('keydown', e => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    dismissNotification(item.id, 'user');
+                }
+            });
+        }
+
+        return element;
+    }
+
+    // Never focused on arrival: the live region speaks it and focus stays where the user is working
+    function showNotification(item) {
+        const region = item.banner ? notifications.bannerRegion : notifications.toastRegion;
+        region.appendChild(item.element);
+        notifications.open.push(item);
+
+        const { politeness } = notificationConfig.severities[item.severity];
+        const prefix = item.severity === 'info' ? '' : getSeverityPrefix(item.severity);
+        const keys = getShortcutKeys('notifications');
+        const hint = item.actions.length && keys
+            ? ` ${getMessage('notification-actions-hint', { keys, actions: item.actions.map(action => action.label).join(', ') })}`
+            : '';
+        announce(`${prefix}${item.text}${hint}`, { politeness });
+
+        item.remaining = item.timeout;
+        startNotificationTimer(item);
+        dispatchWidgetEvent(item.element, 'notify', { id: item.id, message: item.text, severity: item.severity });
+    }
+
+    // 'Error: ' and so on, read before the message
+    function getSeverityPrefix(severity) {
+        return getMessage('labelled', { label: getMessage(`notification-${severity}`), text: '' });
+    }
+
+    function startNotificationTimer(item) {
+        if (!item.remaining || notifications.paused || getPreference('persistent-notifications')) return;
+        clearTimeout(item.timer);
+        item.startedAt = Date.now();
+        item.timer = setTimeout(() => dismissNotification(item.id, 'timeout'), item.remaining);
+    }
+
+    function stopNotificationTimer(item) {
+        if (!item.timer) return;
+        clearTimeout(item.timer);
+        item.timer = null;
+        item.remaining = Math.max(0, item.remaining - (Date.now() - item.startedAt));
+    }
+
+    function pauseNotifications() {
+        notifications.paused = true;
+        notifications.open.forEach(stopNotificationTimer);
+    }
+
+    function resumeNotifications() {
+        // Still reading with the other input: keep holding
+        const { toastRegion } = notifications;
+        if (toastRegion.contains(document.activeElement) || toastRegion.matches(':hover')) return;
+        notifications.paused = false;
+        notifications.open.forEach(startNotificationTimer);
+    }
+
+    /**
+     * Close a notification. Focus only moves if it was inside, and then goes back to where the user came from.
+     * @param {string} id - Id returned by notify()
+     * @param {string} [reason='api'] - Passed on in the dismiss event: 'api', 'user', 'action' or 'timeout'
+     */
+    function dismissNotification(id, reason = 'api') {
+        const index = notifications.open.findIndex(item => item.id === id);
+        if (index === -1) {
+            notifications.queue = notifications.queue.filter(item => item.id !== id);
+            return;
+        }
+
+        const [item] = notifications.open.splice(index, 1);
+        clearTimeout(item.timer);
+
+        if (item.element.contains(document.activeElement)) {
+            const fallback = document.querySelector(selectors.mainContent);
+            const target = notifications.returnTo?.isConnected ? notifications.returnTo : fallback;
+            notifications.returnTo = null;
+            if (target) focusTarget(target);
+        }
+
+        dispatchWidgetEvent(item.element, 'dismiss', { id, reason });
+        item.element.remove();
+
+        if (!item.banner && notifications.queue.length) {
+            showNotification(notifications.queue.shift());
+        }
+        if (!notifications.toastRegion.contains(document.activeElement)) resumeNotifications();
+    }
+
+    // Where focus came from when it entered the notifications, by Tab or the shortcut, so dismissing can go back
+    function rememberNotificationReturn(e) {
+        if (!e.relatedTarget?.closest('[data-aui-notifications]')) {
+            notifications.returnTo = e.relatedTarget;
+        }
+    }
+
+    // The shortcut moves to the newest notification, then to older ones on each press
+    function focusNotification() {
+        if (!notifications.open.length) return false;
+
+        const current = notifications.open.findIndex(item => item.element.contains(document.activeElement));
+
+        const ordered = [...notifications.open].reverse();
+        const next = ordered[(ordered.indexOf(notifications.open[current]) + 1) % ordered.length];
+        const target = next.element.querySelector('.notification-action, .notification-dismiss');
+        if (!target) return false;
+        target.focus();
+        return true;
+    }
+
+    // Label text for announcements, skipping decorative aria-hidden icons
+    function getLabelText(element) {
+        const ariaLabel = element.getAttribute('aria-label');
+        if (ariaLabel) return ariaLabel.trim();
+
+        return [...element.childNodes]
+            .filter(node => !(node.nodeType === Node.ELEMENT_NODE && node.getAttribute('aria-hidden') === 'true'))
+            .map(node => node.textContent)
+            .join('')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Widget instance registry and events
+    /**
+     * Dispatch a namespaced CustomEvent from a widget element
+     * @param {Element} element - Element the event is dispatched on (bubbles)
+     * @param {string} type - Event name without the prefix, e.g. 'beforeopen'
+     * @param {Object} [detail] - Event detail; the widget instance is added automatically
+     * @param {boolean} [cancelable=false] - Whether listeners may call preventDefault()
+     * @returns {boolean} false if a listener cancelled the event
+     */
+    function dispatchWidgetEvent(element, type, detail = {}, cancelable = false) {
+        const event = new CustomEvent(`${EVENT_PREFIX}${type}`, {
+            bubbles: true,
+            cancelable,
+            detail: { instance: instances.get(element), ...detail }
+        });
+        return element.dispatchEvent(event);
+    }
+
+    // Track listeners so an instance can remove everything it added
+    function createListenerGroup() {
+        const listeners = [];
+
+        return {
+            add(target, type, handler, options) {
+                // Media query lists in older engines only have addListener for their change event
+                if (target.addEventListener) {
+                    target.addEventListener(type, handler, options);
+                } else {
+                    target.addListener(handler);
+                }
+                listeners.push({ target, type, handler, options });
+            },
+            removeAll() {
+                listeners.forEach(({ target, type, handler, options }) => {
+                    if (target.removeEventListener) {
+                        target.removeEventListener(type, handler, options);
+                    } else {
+                        target.removeListener(handler);
+                    }
+                });
+                listeners.length = 0;
+            }
+        };
+    }
+
+    function registerInstance(element, instance) {
+        instances.set(element, instance);
+        dispatchWidgetEvent(element, 'init');
+        return instance;
+    }
+
+    function unregisterInstance(element) {
+        dispatchWidgetEvent(element, 'destroy');
+        instances.delete(element);
+    }
+
+    /**
+     * Look up a widget instance
+     * @param {Element|string} target - Widget element, one of its controlled elements, or an id
+     * @returns {Object|undefined}
+     */
+    function getInstance(target) {
+        const element = typeof target === 'string' ? document.getElementById(target) : target;
+        if (!element) return undefined;
+        if (instances.has(element)) return instances.get(element);
+
+        return [...instances.values()].find(instance => instance.controls?.includes(element));
+    }
+
+    /**
+     * List widget instances, optionally filtered by type
+     * @param {string} [type] - e.g. 'dialog', 'tabs', 'disclosure', 'menu', 'navigation', 'form', 'table',
+     *   'checkbox-group', 'radio-group', 'tooltip'
+     * @returns {Object[]}
+     */
+    function getInstances(type) {
+        const all = [...instances.values()];
+        return type ? all.filter(instance => instance.type === type) : all;
+    }
+
+    /**
+     * Enhance the widgets in root, including root itself. Elements that already have an instance are left as they are.
+     * @param {Element|Document} [root=document]
+     */
+    function scan(root = document) {
+        // One widget that fails to set up must not stop the others
+        widgetInitializers.forEach(initialize => {
+            try {
+                initialize(root);
+            } catch (error) {
+                // Rethrown on its own task so it still reaches the console and window.onerror
+                setTimeout(() => {
+                    throw error;
+                });
+            }
+        });
+    }
+
+    /**
+     * Tear down widgets and remove their listeners
+     * @param {Element} [root] - Only widgets whose element is root or inside it; every widget when omitted
+     */
+    function destroyWidgets(root) {
+        getInstances()
+            .filter(instance => !root || root.contains(instance.element))
+            .forEach(instance => {
+                // Tearing down one widget can tear down another, such as a navigation resetting its menus
+                if (instances.get(instance.element) === instance) instance.destroy();
+            });
+    }
+
+    // Matches of selector in root and below, for scans of an element that may itself be a widget
+    function queryAll(root, selector) {
+        const matches = [...root.querySelectorAll(selector)];
+        return root.matches?.(selector) ? [root, ...matches] : matches;
+    }
+
+    // Enhance widgets added to the page later and tear down the ones removed from it
+    function initLifecycle() {
+        if (!readOptions(document.body, { observe: true }).observe) return;
+
+        const observer = new MutationObserver(records => {
+            const added = new Set();
+            const removed = new Set();
+
+            records.forEach(record => {
+                record.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) added.add(node);
+                });
+                record.removedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) removed.add(node);
+                });
+            });
+
+            // A node moved elsewhere in the page, like a sorted table row, is both removed and added
+            removed.forEach(node => {
+                if (!node.isConnected) destroyWidgets(node);
+            });
+            added.forEach(node => {
+                // Moved nodes keep their widgets, so only new content that contains a widget is scanned
+                if (!node.isConnected || removed.has(node)) return;
+                if (node.matches(widgetSelector) || node.querySelector(widgetSelector)) scan(node);
+            });
+        });
+        observer.observe(document.body, { childList: true, subtree: true });
+    }
+
+    function initDialogs(root = document) {
+        queryAll(root, selectors.dialog).forEach(dialog => {
+            createDialog(dialog, readOptions(dialog, {
+                modal: dialog.getAttribute('aria-modal') === 'true',
+                trapFocus: true,
+                closeOnOverlayClick: true,
+                initialFocus: ''
+            }));
+        });
+    }
+
+    // Focus helpers shared by dialogs and menus
+    function isFocusable(element) {
+        return Boolean(element) && !element.disabled && isRendered(element);
+    }
+
+    // On the page and not hidden by an attribute or a stylesheet
+    function isRendered(element) {
+        if (!element.isConnected || element.closest('[hidden], [inert]')) return false;
+
+        for (let node = element; node && node !== document.body; node = node.parentElement) {
+            const style = window.getComputedStyle(node);
+            if (style.display === 'none' || style.visibility === 'hidden') return false;
+        }
+        return true;
+    }
+
+    // Scroll to an element and focus it, making it focusable for the moment if needed
+    function focusTarget(target) {
+        if (!target.matches(focusableSelector) && !target.hasAttribute('tabindex')) {
+            target.setAttribute('tabindex', '-1');
+            target.addEventListener('blur', () => target.removeAttribute('tabindex'), { once: true });
+        }
+        target.scrollIntoView?.({ block: 'center' });
+        target.focus();
+    }
+
+    function getFocusableElements(container) {
+        return [...container.querySelectorAll(focusableSelector)].filter(isFocusable);
+    }
+
+    // Roving tabindex shared by tabs and radio groups: only the current item is in the tab order
+    function setRovingTabIndex(items, current) {
+        items.forEach(item => {
+            item.tabIndex = item === current ? 0 : -1;
+        });
+    }
+
+    // Next or previous enabled item, wrapping at either end
+    function getRovingSibling(items, current, direction, isDisabled) {
+        const enabledItems = items.filter(item => item === current || !isDisabled(item));
+        const index = enabledItems.indexOf(current);
+        return enabledItems[(index + direction + enabledItems.length) % enabledItems.length];
+    }
+
+    // Reading direction from the nearest dir attribute, for arrow keys that follow it
+    function isRtl(element) {
+        return element.closest('[dir]')?.getAttribute('dir') === 'rtl';
+    }
+
+    // Dialog manager: one stack for every open dialog, topmost last
+    function getTopDialog() {
+        return dialogStack[dialogStack.length - 1];
+    }
+
+    /**
+     * Make everything outside the topmost modal dialog inert, keeping dialogs
+     * stacked above it and the announcer's live regions reachable
+     */
+    function updateInertBackground() {
+        // Undo the previous pass before working out the new one
+        inertElements.forEach((previousAriaHidden, element) => {
+            element.removeAttribute('inert');
+            if (previousAriaHidden === null) {
+                element.removeAttribute('aria-hidden');
+            } else {
+                element.setAttribute('aria-hidden', previousAriaHidden);
+            }
+        });
+        inertElements.clear();
+
+        const topModalIndex = dialogStack.map(entry => entry.options.modal).lastIndexOf(true);
+        document.body.classList.toggle('modal-open', topModalIndex !== -1);
+        if (topModalIndex === -1 || hasDefect('no-focus-trap')) return;
+
+        const keepReachable = dialogStack.slice(topModalIndex).map(entry => entry.element);
+        const supportsInert = 'inert' in HTMLElement.prototype;
+
+        keepReachable.forEach(dialog => {
+            // Walk up from each reachable dialog, hiding the siblings at every level
+            for (let node = dialog; node && node !== document.body; node = node.parentElement) {
+                [...node.parentElement.children].forEach(sibling => {
+                    if (sibling === node ||
+                        inertElements.has(sibling) ||
+                        sibling.hasAttribute('inert') ||
+                        sibling.matches('script, [data-announcer], [data-aui-notifications]') ||
+                        keepReachable.some(reachable => sibling.contains(reachable))) {
+                        return;
+                    }
+
+                    inertElements.set(sibling, sibling.getAttribute('aria-hidden'));
+                    sibling.setAttribute('inert', '');
+                    if (!supportsInert) {
+                        sibling.setAttribute('aria-hidden', 'true');
+                    }
+                });
+            }
+        });
+    }
+
+    /**
+     * Enhance a dialog element. Triggers are any element with data-aui-dialog-trigger="<dialog id>";
+     * close buttons are marked with data-aui-dialog-close inside the dialog.
+     * @param {Element} dialog - Element with role="dialog"
+     * @param {Object} options
+     * @param {boolean} options.modal - Make the rest of the page inert and lock page scroll while open
+     * @param {boolean} options.trapFocus - Keep Tab and Shift+Tab inside the dialog
+     * @param {boolean} options.closeOnOverlayClick - Close when the backdrop itself is clicked
+     * @param {string} options.initialFocus - Selector for the element to focus on open; [data-autofocus] wins
+     */
+    function createDialog(dialog, options) {
+        if (instances.has(dialog)) return instances.get(dialog);
+
+        const listeners = createListenerGroup();
+        const triggerSelector = `[data-aui-dialog-trigger="${dialog.id}"]`;
+        const entry = { element: dialog, options, returnFocusTo: null };
+        const layer = {
+            element: dialog,
+            onEscape: () => closeDialog(),
+            onTab: e => {
+                if (options.trapFocus && !hasDefect('no-focus-trap')) handleTabKey(e);
+            }
+        };
+        
+        // Open from any trigger, including ones added after init
+        listeners.add(document, 'click', function(e) {
+            const trigger = e.target.closest(triggerSelector);
+            if (trigger) {
+                openDialog(trigger);
+            }
+        });
+        
+        // Close dialog handlers
+        listeners.add(dialog, 'click', function(e) {
+            if (e.target.closest(selectors.dialogClose)?.closest(selectors.dialog) === dialog) {
+                closeDialog();
+            } else if (options.closeOnOverlayClick && e.target === dialog) {
+                // Close dialog on overlay click
+                closeDialog();
+            }
+        });
+        
+        /**
+         * @param {Element} [trigger] - Element to return focus to on close; defaults to the focused element
+         */
+        function openDialog(trigger) {
+            if (!dialog.hidden) return;
+            if (!dispatchWidgetEvent(dialog, 'beforeopen', { trigger }, true)) return;
+
+            entry.returnFocusTo = trigger || document.activeElement;
+
+            // Show dialog above anything already open
+            dialog.hidden = false;
+            dialogStack.push(entry);
+            addKeyboardLayer(layer);
+            updateInertBackground();
+            
+            getInitialFocusTarget().focus();
+
+            dispatchWidgetEvent(dialog, 'open', { trigger: entry.returnFocusTo });
+        }
+        
+        function closeDialog() {
+            if (dialog.hidden) return;
+            if (!dispatchWidgetEvent(dialog, 'beforeclose', {}, true)) return;
+
+            // Hide dialog and release the background before moving focus into it
+            const wasTopmost = getTopDialog() === entry;
+            dialog.hidden = true;
+            dialogStack.splice(dialogStack.indexOf(entry), 1);
+            removeKeyboardLayer(layer);
+            updateInertBackground();
+            
+            // Closing a dialog underneath another must not pull focus out of the top one
+            if (wasTopmost) {
+                returnFocus(getReturnFocusTarget());
+            }
+
+            dispatchWidgetEvent(dialog, 'close');
+        }
+
+        function getInitialFocusTarget() {
+            const candidates = [
+                dialog.querySelector('[data-autofocus]'),
+                options.initialFocus ? dialog.querySelector(options.initialFocus) : null,
+                getFocusableElements(dialog)[0]
+            ];
+            const target = candidates.find(isFocusable);
+            if (target) return target;
+
+            // Nothing focusable inside: focus the dialog itself
+            if (!dialog.hasAttribute('tabindex')) {
+                dialog.setAttribute('tabindex', '-1');
+            }
+            return dialog;
+        }
+
+        // The trigger may have been removed or hidden while the dialog was open
+        function getReturnFocusTarget() {
+            if (isFocusable(entry.returnFocusTo)) return entry.returnFocusTo;
+
+            const triggers = [...document.querySelectorAll(triggerSelector)].filter(isFocusable);
+            if (triggers.length) return triggers[0];
+
+            // Fall back through the stack to the dialog underneath
+            const below = getTopDialog();
+            if (below) {
+                return getFocusableElements(below.element)[0] || below.element;
+            }
+
+            const mainContent = document.querySelector(selectors.mainContent);
+            if (mainContent) {
+                if (!mainContent.hasAttribute('tabindex')) {
+                    mainContent.setAttribute('tabindex', '-1');
+                }
+                return mainContent;
+            }
+            return null;
+        }
+        
+        function handleTabKey(e) {
+            const focusableElements = getFocusableElements(dialog);
+            if (focusableElements.length === 0) {
+                e.preventDefault();
+                return;
+            }
+
+            const firstFocusableElement = focusableElements[0];
+            const lastFocusableElement = focusableElements[focusableElements.length - 1];
+            const currentIndex = focusableElements.indexOf(document.activeElement);
+            
+            if (e.shiftKey) {
+                // Shift + Tab (backward)
+                if (currentIndex <= 0) {
+                    e.preventDefault();
+                    lastFocusableElement.focus();
+                }
+            } else {
+                // Tab (forward)
+                if (currentIndex === -1 || currentIndex >= focusableElements.length - 1) {
+                    e.preventDefault();
+                    firstFocusableElement.focus();
+                }
+            }
+        }
+
+        function destroy() {
+            if (!dialog.hidden) {
+                // Focus inside a dialog that was removed from the page falls back to the body
+                const hadFocus = dialog.contains(document.activeElement) || document.activeElement === document.body;
+                const wasTopmost = getTopDialog() === entry;
+                dialog.hidden = true;
+                dialogStack.splice(dialogStack.indexOf(entry), 1);
+                updateInertBackground();
+                if (wasTopmost && hadFocus) {
+                    returnFocus(getReturnFocusTarget());
+                }
+            }
+            removeKeyboardLayer(layer);
+            listeners.removeAll();
+            unregisterInstance(dialog);
+        }
+
+        return registerInstance(dialog, {
+            type: 'dialog',
+            element: dialog,
+            options,
+            controls: [...document.querySelectorAll(triggerSelector)],
+            open: openDialog,
+            close: closeDialog,
+            toggle: trigger => (dialog.hidden ? openDialog(trigger) : closeDialog()),
+            isOpen: () => !dialog.hidden,
+            isTopmost: () => getTopDialog() === entry,
+            destroy
+        });
+    }
+
+    // State is read from the content's hidden attribute so the no-aria-expanded defect can't desync it
+    function openDisclosure(button, content) {
+        if (!content.hidden) return;
+        if (!dispatchWidgetEvent(button, 'beforeopen', { content }, true)) return;
+
+        if (!hasDefect('no-aria-expanded')) {
+            button.setAttribute('aria-expanded', 'true');
+        }
+        content.hidden = false;
+        setDisclosureLabel(button, true);
+        
+        // Position floating disclosures
+        if (content.classList.contains('disclosure-floating')) {
+            positionFloatingDisclosure(button, content);
+        }
+        
+        // Announce to screen readers
+        const contentType = content.classList.contains('disclosure-floating') ? 'floating' : 'inline';
+        announce(getMessage(contentType === 'floating' ? 'disclosure-opened-floating' : 'disclosure-expanded', {}, button),
+            { debounce: true });
+
+        dispatchWidgetEvent(button, 'open', { content });
+    }
+
+    function closeDisclosure(button, content) {
+        if (content.hidden) return;
+        if (!dispatchWidgetEvent(button, 'beforeclose', { content }, true)) return;
+
+        if (!hasDefect('no-aria-expanded')) {
+            button.setAttribute('aria-expanded', 'false');
+        }
+        content.hidden = true;
+        untrackFloating(content);
+        setDisclosureLabel(button, false);
+
+        announce(getMessage('disclosure-collapsed', {}, button), { debounce: true });
+
+        dispatchWidgetEvent(button, 'close', { content });
+    }
+
+    // Buttons with data-aui-label-expanded and data-aui-label-collapsed swap their text, in any language
+    function setDisclosureLabel(button, expanded) {
+        const label = button.getAttribute(expanded ? 'data-aui-label-expanded' : 'data-aui-label-collapsed');
+        if (!label) return;
+
+        // The first text node holds the label; icons beside it are left alone
+        const textNode = [...button.childNodes].find(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+        if (textNode) {
+            textNode.textContent = textNode.textContent.replace(textNode.textContent.trim(), () => label);
+        } else {
+            button.prepend(label);
+        }
+    }
+
+    function toggleDisclosure(button, content) {
+        if (!content.hidden) {
+            closeDisclosure(button, content);
+        } else {
+            openDisclosure(button, content);
+        }
+    }
+
+    // Dropdown utility functions, shared by menu buttons and their flyout submenus
+    function toggleDropdown(dropdown, button, submenu) {
+        const isOpen = dropdown.getAttribute('data-open') === 'true';
+        
+        if (isOpen) {
+            closeDropdown(dropdown, button, submenu);
+        } else {
+            openDropdown(dropdown, button, submenu);
+        }
+    }
+
+    function openDropdown(dropdown, button, submenu) {
+        dropdown.setAttribute('data-open', 'true');
+        button.setAttribute('aria-expanded', 'true');
+        submenu.style.display = 'block';
+    }
+
+    function closeDropdown(dropdown, button, submenu) {
+        dropdown.setAttribute('data-open', 'false');
+        button.setAttribute('aria-expanded', 'false');
+        
+        // Delay hiding to allow for focus transitions
+        setTimeout(() => {
+            if (dropdown.getAttribute('data-open') === 'false') {
+                submenu.style.display = '';
+            }
+        }, 100);
+    }
+
+    function initTabWidgets(root = document) {
+        queryAll(root, selectors.tabs).forEach(tablist => {
+            createTabs(tablist, readOptions(tablist, {
+                announce: true,
+                activation: 'manual',
+                deepLink: '',
+                param: tablist.id || 'tab'
+            }));
+        });
+    }
+
+    /**
+     * Tabs following the APG pattern. Orientation comes from aria-orientation on the tablist;
+     * tabs marked data-aui-closable can be removed with Delete.
+     * @param {Element} tablist - Element with role="tablist"
+     * @param {Object} options
+     * @param {boolean} options.announce - Announce the newly selected tab through the live region
+     * @param {string} options.activation - 'manual' (Enter/Space selects) or 'automatic' (focus selects)
+     * @param {string} options.deepLink - '', 'hash' or 'query': reflect and restore the selected tab in the URL
+     * @param {string} options.param - Query parameter name used when deepLink is 'query'
+     */
+    function createTabs(tablist, options) {
+        if (instances.has(tablist)) return instances.get(tablist);
+
+        const listeners = createListenerGroup();
+        const isVertical = tablist.getAttribute('aria-orientation') === 'vertical';
+
+        // Left and Right follow the reading direction, read on each press so a change of dir applies
+        function getArrowKeys() {
+            if (isVertical) return { previousKey: 'ArrowUp', nextKey: 'ArrowDown' };
+            return isRtl(tablist)
+                ? { previousKey: 'ArrowRight', nextKey: 'ArrowLeft' }
+                : { previousKey: 'ArrowLeft', nextKey: 'ArrowRight' };
+        }
+
+        // Read live so removed tabs and stray non-tab nodes don't matter
+        function getTabs() {
+            return [...tablist.querySelectorAll('[role="tab"]')];
+        }
+
+        function getPanel(tab) {
+            return document.getElementById(tab.getAttribute('aria-controls'));
+        }
+
+        function isDisabled(tab) {
+            return tab.disabled || tab.getAttribute('aria-disabled') === 'true';
+        }
+
+        function getSelectedTab() {
+            return getTabs().find(tab => tab.getAttribute('aria-selected') === 'true');
+        }
+
+        // Initialize tab states
+        getTabs().forEach(tab => {
+            if (tab.getAttribute('aria-selected') === 'true') {
+                tab.tabIndex = 0;
+                getPanel(tab)?.removeAttribute('hidden');
+            } else {
+                tab.setAttribute('aria-selected', 'false');
+                tab.tabIndex = -1;
+                getPanel(tab)?.setAttribute('hidden', '');
+            }
+        });
+
+        // Restore from the URL, otherwise make sure one tab is selected
+        const linkedTab = getTabFromUrl();
+        const initialTab = linkedTab || getSelectedTab() || getTabs().find(tab => !isDisabled(tab));
+        if (initialTab) {
+            switchTab(initialTab, { silent: true });
+        }
+
+        // Handle click events
+        listeners.add(tablist, 'click', e => {
+            const tab = e.target.closest('[role="tab"]');
+            if (!tab || tab.getAttribute('aria-selected') === 'true') return;
+            switchTab(tab);
+        });
+
+        // Handle keyboard events
+        listeners.add(tablist, 'keydown', e => {
+            const targetTab = e.target.closest('[role="tab"]');
+            if (!targetTab) return;
+
+            const { previousKey, nextKey } = getArrowKeys();
+            let newTab;
+            switch (e.key) {
+                case previousKey:
+                    newTab = getSiblingTab(targetTab, -1);
+                    break;
+                case nextKey:
+                    newTab = getSiblingTab(targetTab, 1);
+                    break;
+                case 'Home':
+                    newTab = getTabs().find(tab => !isDisabled(tab));
+                    break;
+                case 'End':
+                    newTab = getTabs().reverse().find(tab => !isDisabled(tab));
+                    break;
+                case 'Enter':
+                case ' ':
+                    e.preventDefault();
+                    // Only switch tabs on Enter or Space if it's not already selected
+                    if (targetTab.getAttribute('aria-selected') !== 'true') {
+                        switchTab(targetTab);
+                    }
+                    return;
+                case 'Delete':
+                    if (targetTab.hasAttribute('data-aui-closable')) {
+                        e.preventDefault();
+                        removeTab(targetTab);
+                    }
+                    return;
+                default:
+                    return;
+            }
+
+            if (newTab) {
+                e.preventDefault();
+                newTab.focus();
+                // In automatic mode focus also selects; manual mode waits for Enter or Space
+                if (options.activation === 'automatic') {
+                    switchTab(newTab);
+                }
+            }
+        });
+
+        // Keep the selection in step with back/forward navigation
+        if (options.deepLink) {
+            listeners.add(window, options.deepLink === 'hash' ? 'hashchange' : 'popstate', () => {
+                const tab = getTabFromUrl();
+                if (tab) switchTab(tab, { updateUrl: false });
+            });
+        }
+
+        function getSiblingTab(tab, direction) {
+            return getRovingSibling(getTabs(), tab, direction, isDisabled);
+        }
+
+        function getTabFromUrl() {
+            let id = '';
+            if (options.deepLink === 'hash') {
+                id = decodeURIComponent(window.location.hash.slice(1));
+            } else if (options.deepLink === 'query') {
+                id = new URLSearchParams(window.location.search).get(options.param) || '';
+            }
+            if (!id) return undefined;
+
+            return getTabs().find(tab => !isDisabled(tab) &&
+                (tab.id === id || tab.getAttribute('aria-controls') === id));
+        }
+
+        function updateUrl(tab) {
+            const url = new URL(window.location.href);
+            if (options.deepLink === 'hash') {
+                // Link to the panel so the URL also works as a plain fragment
+                url.hash = tab.getAttribute('aria-controls');
+            } else if (options.deepLink === 'query') {
+                url.searchParams.set(options.param, tab.id);
+            } else {
+                return;
+            }
+            // replaceState avoids a history entry per tab and never scrolls the page
+            try {
+                history.replaceState(history.state, '', url);
+            } catch (error) {
+                // Pages opened from file:// may refuse URL changes; the selection still works
+            }
+        }
+
+        /**
+         * @param {Element} newTab - Tab to select
+         * @param {Object} [config]
+         * @param {boolean} [config.silent=false] - Skip events, announcements and URL updates (initial state)
+         * @param {boolean} [config.updateUrl=true] - Reflect the selection in the URL when deep-linking
+         * @returns {boolean} false if the tab is disabled or the change was cancelled
+         */
+        function switchTab(newTab, config = {}) {
+            if (isDisabled(newTab)) return false;
+
+            // Find the old tab
+            const oldTab = getSelectedTab();
+            if (oldTab === newTab && !config.silent) return true;
+
+            const detail = {
+                tab: newTab,
+                panel: getPanel(newTab),
+                previousTab: oldTab
+            };
+            if (!config.silent && !dispatchWidgetEvent(tablist, 'beforetabchange', detail, true)) return false;
+
+            // Update tabs and panels
+            getTabs().forEach(tab => {
+                const isSelected = tab === newTab;
+                tab.setAttribute('aria-selected', String(isSelected));
+                getPanel(tab)?.toggleAttribute('hidden', !isSelected);
+            });
+            if (!hasDefect('no-roving-tabindex')) {
+                setRovingTabIndex(getTabs(), newTab);
+            }
+
+            if (config.silent) return true;
+
+            if (config.updateUrl !== false) {
+                updateUrl(newTab);
+            }
+
+            // Announce tab switch to screen readers
+            if (options.announce) {
+                announce(getMessage('tab-selected', { label: getLabelText(newTab) }, tablist), { debounce: true });
+            }
+
+            dispatchWidgetEvent(tablist, 'tabchange', detail);
+            return true;
+        }
+
+        /**
+         * Remove a tab and its panel, moving focus and selection to a neighbour
+         * @param {Element} tab - Tab to remove
+         * @returns {boolean} false if the removal was cancelled
+         */
+        function removeTab(tab) {
+            const tabs = getTabs();
+            const index = tabs.indexOf(tab);
+            if (index === -1) return false;
+
+            const panel = getPanel(tab);
+            if (!dispatchWidgetEvent(tablist, 'beforetabclose', { tab, panel }, true)) return false;
+
+            // Prefer the following tab, falling back to the one before
+            const remaining = tabs.filter(candidate => candidate !== tab && !isDisabled(candidate));
+            const neighbour = remaining.find(candidate => tabs.indexOf(candidate) > index) ||
+                remaining[remaining.length - 1];
+            const wasSelected = tab.getAttribute('aria-selected') === 'true';
+            const hadFocus = tab === document.activeElement;
+            const label = getLabelText(tab);
+
+            // Selecting before removal reports the closing tab as previousTab. The close was already
+            // allowed, so a cancelled tab change still has to leave a tab selected.
+            if (neighbour && wasSelected && !switchTab(neighbour)) {
+                switchTab(neighbour, { silent: true });
+                updateUrl(neighbour);
+            }
+
+            tab.remove();
+            panel?.remove();
+
+            // With no tab left, focus stays in the widget rather than falling back to the page
+            if (hadFocus) {
+                if (neighbour) {
+                    neighbour.focus();
+                } else {
+                    focusTarget(tablist);
+                }
+            }
+
+            announce(getMessage('tab-closed', { label }, tablist));
+            dispatchWidgetEvent(tablist, 'tabclose', { tab, panel, nextTab: neighbour });
+            return true;
+        }
+
+        /**
+         * Select a tab programmatically
+         * @param {Element|string|number} target - Tab element, tab id, panel id or index
+         * @param {Object} [config]
+         * @param {boolean} [config.focus=false] - Move focus to the selected tab
+         * @returns {boolean} false if the tab was not found or the change was cancelled
+         */
+        function select(target, config = {}) {
+            const tab = findTab(target);
+            if (!tab) return false;
+
+            const changed = switchTab(tab);
+            if (changed && config.focus) tab.focus();
+            return changed;
+        }
+
+        function findTab(target) {
+            const tabs = getTabs();
+            return typeof target === 'number'
+                ? tabs[target]
+                : tabs.find(t => t === target || t.id === target || t.getAttribute('aria-controls') === target);
+        }
+
+        function destroy() {
+            listeners.removeAll();
+            unregisterInstance(tablist);
+        }
+
+        return registerInstance(tablist, {
+            type: 'tabs',
+            element: tablist,
+            options,
+            get controls() {
+                return getTabs().flatMap(tab => [tab, getPanel(tab)]).filter(Boolean);
+            },
+            select,
+            remove: target => {
+                const tab = findTab(target);
+                return tab ? removeTab(tab) : false;
+            },
+            getSelected: getSelectedTab,
+            destroy
+        });
+    }
+
+    function initTables(root = document) {
+        queryAll(root, selectors.table).forEach(table => {
+            createTable(table, readOptions(table, {
+                sortable: true,
+                filter: false,
+                filterLabel: '',
+                announce: true,
+                grid: false,
+                pageSize: 5
+            }));
+        });
+    }
+
+    /**
+     * Data table with sortable column headers and an optional row filter.
+     * Header rows are laid out through rowspan/colspan, and each column's header in the last header
+     * row becomes a sort button unless it spans several columns or has data-aui-sortable="false".
+     * Body cells are matched to a header through their headers attribute, otherwise by position.
+     * Columns sort as numbers, dates or text, detected from the values or set with
+     * data-aui-sort-type on the header; data-aui-sort-value or a <time datetime> in a cell
+     * overrides its text.
+     * With the grid option the table becomes a role="grid" with a single tab stop: arrow keys,
+     * Home/End, Ctrl+Home/End and PageUp/PageDown move between cells, Enter or F2 moves into a
+     * cell's interactive content and Escape moves back out. A cell whose only content is one
+     * control, like a sort button, focuses that control directly.
+     * @param {HTMLTableElement} table - Table with a thead and one or more tbody elements
+     * @param {Object} options
+     * @param {boolean} options.sortable - Turn column headers into sort buttons
+     * @param {boolean} options.filter - Add a text filter before the table with a row count
+     * @param {string} options.filterLabel - Visible label of the filter field; the table-filter-label message when empty
+     * @param {boolean} options.announce - Announce sort changes and the filtered row count
+     * @param {boolean} options.grid - Add grid keyboard navigation and link cells to their headers
+     * @param {number} options.pageSize - Rows moved by PageUp and PageDown in grid mode
+     */
+    function createTable(table, options) {
+        if (instances.has(table)) return instances.get(table);
+
+        const listeners = createListenerGroup();
+        const generatedId = !table.id;
+        const columns = options.sortable ? getSortableColumns() : [];
+        // Source order, restored when a column goes back to aria-sort="none"
+        const originalOrder = new Map(getRows().map((row, index) => [row, index]));
+        const sortState = { column: null, direction: 'none' };
+        let filterGroup = null;
+        let filterField = null;
+        let filterCount = null;
+        // Grid mode: tabindex values to restore, the current tab stop and what was added for header context
+        const grid = {
+            savedTabIndex: new Map(),
+            tabStop: null,
+            originalRole: null,
+            linkedCells: [],
+            generatedIds: []
+        };
+
+        function getRows() {
+            return [...table.tBodies].flatMap(tbody => [...tbody.rows]);
+        }
+
+        // Place every cell in each position it covers, so spanning cells are found in every row and column
+        function layoutRows(rows) {
+            const layout = rows.map(() => []);
+
+            rows.forEach((row, rowIndex) => {
+                let column = 0;
+                [...row.cells].forEach(cell => {
+                    while (layout[rowIndex][column]) column += 1;
+                    const rowSpan = Math.min(cell.rowSpan || rows.length, rows.length - rowIndex);
+                    for (let r = 0; r < rowSpan; r++) {
+                        for (let c = 0; c < cell.colSpan; c++) {
+                            layout[rowIndex + r][column + c] = cell;
+                        }
+                    }
+                    column += cell.colSpan;
+                });
+            });
+
+            return layout;
+        }
+
+        function getSortableColumns() {
+            const headerGrid = layoutRows(table.tHead ? [...table.tHead.rows] : []);
+            const lastRow = headerGrid[headerGrid.length - 1] || [];
+
+            return lastRow.map((header, index) => {
+                if (!header || header.tagName !== 'TH' || header.colSpan > 1) return null;
+                if (header.getAttribute('data-aui-sortable') === 'false') return null;
+
+                // Group headers above this one give the column its full name, e.g. "Q3 Revenue"
+                const headers = [...new Set(headerGrid.map(row => row[index]))].filter(Boolean);
+                return {
+                    index,
+                    header,
+                    label: headers.map(cell => getLabelText(cell)).join(' '),
+                    originalSort: header.getAttribute('aria-sort')
+                };
+            }).filter(Boolean);
+        }
+
+        columns.forEach(column => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'sort-button';
+            button.append(...column.header.childNodes);
+
+            const icon = document.createElement('span');
+            icon.className = 'sort-icon';
+            icon.setAttribute('aria-hidden', 'true');
+            button.appendChild(icon);
+
+            column.header.appendChild(button);
+            column.button = button;
+
+            // Markup may already say how the rows are sorted
+            if (column.originalSort === 'ascending' || column.originalSort === 'descending') {
+                sortState.column = column;
+                sortState.direction = column.originalSort;
+            } else {
+                column.header.setAttribute('aria-sort', 'none');
+            }
+
+            // Rows move but the button doesn't, so focus stays on the activated header
+            listeners.add(button, 'click', () => {
+                sort(column, getNextDirection(column));
+            });
+        });
+
+        if (options.filter) {
+            createFilter();
+        }
+
+        if (options.grid) {
+            initGrid();
+        }
+
+        function createFilter() {
+            if (generatedId) {
+                table.id = generateId('table');
+            }
+
+            filterGroup = document.createElement('div');
+            filterGroup.className = 'form-field table-filter';
+
+            filterField = document.createElement('input');
+            filterField.type = 'search';
+            filterField.id = generateId('table-filter');
+            filterField.setAttribute('aria-controls', table.id);
+
+            const label = document.createElement('label');
+            label.htmlFor = filterField.id;
+            label.textContent = options.filterLabel || getMessage('table-filter-label', {}, table);
+
+            filterCount = document.createElement('p');
+            filterCount.className = 'table-filter-count';
+            filterCount.id = generateId('table-count');
+            filterField.setAttribute('aria-describedby', filterCount.id);
+
+            filterGroup.append(label, filterField, filterCount);
+            (table.closest('.table-container') || table).before(filterGroup);
+
+            listeners.add(filterField, 'input', () => {
+                filter(filterField.value);
+            });
+            updateCount();
+        }
+
+        function initGrid() {
+            grid.originalRole = table.getAttribute('role');
+            table.setAttribute('role', 'grid');
+            linkHeaders();
+
+            // Cells and the controls inside them leave the tab order; one tab stop roves between them
+            [...table.rows].forEach(row => {
+                [...row.cells].forEach(cell => {
+                    [cell, ...cell.querySelectorAll(focusableSelector)].forEach(element => {
+                        grid.savedTabIndex.set(element, element.getAttribute('tabindex'));
+                        element.tabIndex = -1;
+                    });
+                });
+            });
+            resetTabStop();
+
+            listeners.add(table, 'keydown', handleGridKeydown);
+            // Clicks and stepping into content move the tab stop too
+            listeners.add(table, 'focusin', e => {
+                const cell = getGridCell(e.target);
+                if (cell) setTabStop(cell);
+            });
+        }
+
+        function isColumnHeader(cell) {
+            if (!cell || cell.tagName !== 'TH') return false;
+            const scope = cell.getAttribute('scope');
+            return scope ? scope === 'col' || scope === 'colgroup' : cell.parentElement.parentElement === table.tHead;
+        }
+
+        function isRowHeader(cell) {
+            if (!cell || cell.tagName !== 'TH') return false;
+            const scope = cell.getAttribute('scope');
+            return scope ? scope === 'row' || scope === 'rowgroup' : cell.parentElement.parentElement !== table.tHead;
+        }
+
+        // Give every cell without a headers attribute the row and column headers that apply to it,
+        // so a cell reached by keyboard is announced with its context, group headers included
+        function linkHeaders() {
+            const layout = layoutRows([...table.rows]);
+
+            layout.forEach((layoutRow, rowIndex) => {
+                new Set(layoutRow).forEach(cell => {
+                    // Spanning cells are handled once, from their first row
+                    if (!cell || cell.hasAttribute('headers') || layout[rowIndex - 1]?.includes(cell)) return;
+
+                    const start = layoutRow.indexOf(cell);
+                    const headers = [];
+                    const addHeader = header => {
+                        if (header !== cell && !headers.includes(header)) headers.push(header);
+                    };
+
+                    for (let r = 0; r < rowIndex; r++) {
+                        for (let c = start; c < start + cell.colSpan; c++) {
+                            if (isColumnHeader(layout[r][c])) addHeader(layout[r][c]);
+                        }
+                    }
+                    for (let c = 0; c < start; c++) {
+                        if (isRowHeader(layoutRow[c])) addHeader(layoutRow[c]);
+                    }
+                    if (!headers.length) return;
+
+                    headers.forEach(header => {
+                        if (!header.id) {
+                            header.id = generateId('header');
+                            grid.generatedIds.push(header);
+                        }
+                    });
+                    cell.setAttribute('headers', headers.map(header => header.id).join(' '));
+                    grid.linkedCells.push(cell);
+                });
+            });
+        }
+
+        function getGridCell(element) {
+            const cell = element.closest('th, td');
+            return cell && cell.closest('table') === table ? cell : null;
+        }
+
+        function getCellControls(cell) {
+            return [...cell.querySelectorAll('*')].filter(element => grid.savedTabIndex.has(element));
+        }
+
+        // The cell itself, or its control when that control is all the cell holds
+        function getFocusTarget(cell) {
+            const controls = getCellControls(cell);
+            return controls.length === 1 && controls[0].textContent.trim() === cell.textContent.trim()
+                ? controls[0]
+                : cell;
+        }
+
+        function setTabStop(cell) {
+            const target = getFocusTarget(cell);
+            if (grid.tabStop && grid.tabStop !== target) {
+                grid.tabStop.tabIndex = -1;
+            }
+            target.tabIndex = 0;
+            grid.tabStop = target;
+        }
+
+        // First visible cell, for the start and whenever the tab stop is filtered away
+        function resetTabStop() {
+            const firstCell = getVisibleLayout()[0]?.find(Boolean);
+            if (firstCell) setTabStop(firstCell);
+        }
+
+        function focusCell(cell) {
+            setTabStop(cell);
+            grid.tabStop.focus();
+        }
+
+        // Rows hidden by the filter are skipped
+        function getVisibleLayout() {
+            const rows = [...table.rows];
+            return layoutRows(rows).filter((layoutRow, index) => !rows[index].hidden);
+        }
+
+        /**
+         * Cell a navigation key moves to
+         * @returns {Element|null|undefined} The cell, null at the edge of the grid, undefined for other keys
+         */
+        function getCellForKey(cell, e) {
+            const layout = getVisibleLayout();
+            const rowIndex = layout.findIndex(layoutRow => layoutRow.includes(cell));
+            if (rowIndex === -1) return undefined;
+            const columnIndex = layout[rowIndex].indexOf(cell);
+
+            // Nearest different cell in a direction, passing over the rest of a spanning cell
+            const step = (rowStep, columnStep) => {
+                let r = rowIndex + rowStep;
+                let c = columnIndex + columnStep;
+                while (layout[r] && c >= 0 && c < layout[r].length) {
+                    if (layout[r][c] && layout[r][c] !== cell) return layout[r][c];
+                    r += rowStep;
+                    c += columnStep;
+                }
+                return null;
+            };
+            const firstIn = layoutRow => layoutRow.find(Boolean);
+            const lastIn = layoutRow => [...layoutRow].reverse().find(Boolean);
+            const inRow = r => {
+                const layoutRow = layout[Math.max(0, Math.min(layout.length - 1, r))];
+                return layoutRow[Math.min(columnIndex, layoutRow.length - 1)] || lastIn(layoutRow);
+            };
+
+            switch (e.key) {
+                case 'ArrowRight':
+                    return step(0, 1);
+                case 'ArrowLeft':
+                    return step(0, -1);
+                case 'ArrowDown':
+                    return step(1, 0);
+                case 'ArrowUp':
+                    return step(-1, 0);
+                case 'PageDown':
+                    return inRow(rowIndex + options.pageSize);
+                case 'PageUp':
+                    return inRow(rowIndex - options.pageSize);
+                case 'Home':
+                    return e.ctrlKey ? firstIn(layout[0]) : firstIn(layout[rowIndex]);
+                case 'End':
+                    return e.ctrlKey ? lastIn(layout[layout.length - 1]) : lastIn(layout[rowIndex]);
+                default:
+                    return undefined;
+            }
+        }
+
+        function handleGridKeydown(e) {
+            const cell = getGridCell(e.target);
+            if (!cell || e.defaultPrevented) return;
+
+            // Inside a cell's content the keys belong to the content, except Escape
+            if (e.target !== cell && e.target !== getFocusTarget(cell)) {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    focusCell(cell);
+                }
+                return;
+            }
+
+            if ((e.key === 'Enter' || e.key === 'F2') && e.target === cell) {
+                const control = getCellControls(cell)[0];
+                if (control) {
+                    e.preventDefault();
+                    control.focus();
+                }
+                return;
+            }
+
+            if (e.altKey || e.metaKey) return;
+            const nextCell = getCellForKey(cell, e);
+            if (nextCell === undefined) return;
+
+            // Also at the edges, so the page doesn't scroll instead
+            e.preventDefault();
+            if (nextCell) focusCell(nextCell);
+        }
+
+        function destroyGrid() {
+            grid.savedTabIndex.forEach((tabIndex, element) => {
+                if (tabIndex === null) {
+                    element.removeAttribute('tabindex');
+                } else {
+                    element.setAttribute('tabindex', tabIndex);
+                }
+            });
+            grid.linkedCells.forEach(cell => cell.removeAttribute('headers'));
+            grid.generatedIds.forEach(header => header.removeAttribute('id'));
+
+            if (grid.originalRole === null) {
+                table.removeAttribute('role');
+            } else {
+                table.setAttribute('role', grid.originalRole);
+            }
+        }
+
+        // Ascending, then descending, then back to the source order
+        function getNextDirection(column) {
+            if (sortState.column !== column) return 'ascending';
+            return sortState.direction === 'ascending' ? 'descending' : 'none';
+        }
+
+        function findColumn(target) {
+            if (typeof target === 'number') return columns.find(column => column.index === target);
+            return columns.find(column => column === target || column.header === target ||
+                column.button === target || (column.header.id && column.header.id === target));
+        }
+
+        function getCell(row, column) {
+            const id = column.header.id;
+            const cells = [...row.cells];
+            if (id) {
+                const linked = cells.find(cell => (cell.getAttribute('headers') || '').split(/\s+/).includes(id));
+                if (linked) return linked;
+            }
+
+            let end = 0;
+            return cells.find(cell => {
+                end += cell.colSpan;
+                return end > column.index;
+            });
+        }
+
+        function getRawValue(cell) {
+            if (!cell) return '';
+            if (cell.hasAttribute('data-aui-sort-value')) return cell.getAttribute('data-aui-sort-value');
+
+            const time = cell.querySelector('time[datetime]');
+            return (time ? time.getAttribute('datetime') : cell.textContent).trim();
+        }
+
+        // Amounts like "$45,000", "-3.5" or "12 %": up to three symbols either side of the digits
+        function parseNumber(value) {
+            const match = value.match(/^([-−]?)[^\d\s.,\-−]{0,3}\s?(\d[\d,]*(?:\.\d+)?|\.\d+)\s?[^\d\s]{0,3}$/);
+            if (!match) return NaN;
+            const number = Number(match[2].replace(/,/g, ''));
+            return match[1] ? -number : number;
+        }
+
+        function getSortType(column, values) {
+            const declared = column.header.getAttribute('data-aui-sort-type');
+            if (declared) return declared;
+
+            const present = values.filter(value => value !== '');
+            if (present.length && present.every(value => !Number.isNaN(parseNumber(value)))) return 'number';
+            if (present.length && present.every(value => !Number.isNaN(Date.parse(value)))) return 'date';
+            return 'text';
+        }
+
+        function compareValues(a, b, type) {
+            if (type === 'number') return parseNumber(a) - parseNumber(b);
+            if (type === 'date') return Date.parse(a) - Date.parse(b);
+            return a.localeCompare(b, document.documentElement.lang || undefined, {
+                numeric: true,
+                sensitivity: 'base'
+            });
+        }
+
+        /**
+         * Sort the body rows by a column; each tbody is sorted on its own and tfoot is left alone
+         * @param {Object|Element|string|number} target - Column, its header or button, header id or column index
+         * @param {string} [direction] - 'ascending', 'descending' or 'none'; defaults to the next in the cycle
+         * @returns {boolean} false if the column is not sortable or the change was cancelled
+         */
+        function sort(target, direction) {
+            const column = findColumn(target);
+            if (!column) return false;
+
+            direction = direction || getNextDirection(column);
+            const detail = { header: column.header, column: column.index, direction };
+            if (!dispatchWidgetEvent(table, 'beforesort', detail, true)) return false;
+
+            const allValues = getRows().map(row => getRawValue(getCell(row, column)));
+            const type = getSortType(column, allValues);
+
+            [...table.tBodies].forEach(tbody => {
+                const rows = [...tbody.rows].map(row => ({ row, value: getRawValue(getCell(row, column)) }));
+
+                rows.sort((a, b) => {
+                    if (direction !== 'none') {
+                        // Empty cells stay at the end in both directions
+                        if (a.value === '' || b.value === '') {
+                            if (a.value !== b.value) return a.value === '' ? 1 : -1;
+                        } else {
+                            const result = compareValues(a.value, b.value, type);
+                            if (result) return direction === 'ascending' ? result : -result;
+                        }
+                    }
+                    // Ties keep their source order
+                    return (originalOrder.get(a.row) ?? Infinity) - (originalOrder.get(b.row) ?? Infinity);
+                });
+
+                tbody.append(...rows.map(({ row }) => row));
+            });
+
+            columns.forEach(other => {
+                other.header.setAttribute('aria-sort', other === column ? direction : 'none');
+            });
+            sortState.column = direction === 'none' ? null : column;
+            sortState.direction = direction;
+
+            if (options.announce) {
+                announce(getMessage(direction === 'none' ? 'table-sort-removed' : `table-sorted-${direction}`,
+                    { column: column.label }, table));
+            }
+
+            dispatchWidgetEvent(table, 'sort', { ...detail, type });
+            return true;
+        }
+
+        /**
+         * Show only body rows whose text contains the query, ignoring case
+         * @param {string} query - Text to look for; empty shows every row
+         * @returns {number} Number of rows left visible
+         */
+        function filter(query) {
+            const text = query.trim().toLowerCase();
+            getRows().forEach(row => {
+                row.hidden = text !== '' && !row.textContent.replace(/\s+/g, ' ').toLowerCase().includes(text);
+            });
+
+            if (filterField && filterField.value !== query) {
+                filterField.value = query;
+            }
+
+            const { visible, total, message } = updateCount();
+            if (options.grid && grid.tabStop && getGridCell(grid.tabStop).parentElement.hidden) {
+                resetTabStop();
+            }
+            if (options.announce) {
+                announce(message, { debounce: true });
+            }
+
+            dispatchWidgetEvent(table, 'filter', { query, visible, total });
+            return visible;
+        }
+
+        function updateCount() {
+            const rows = getRows();
+            const visible = rows.filter(row => !row.hidden).length;
+            const message = getMessage('table-filter-count', { visible, count: rows.length }, table);
+            if (filterCount) {
+                filterCount.textContent = message;
+            }
+            return { visible, total: rows.length, message };
+        }
+
+        function destroy() {
+            listeners.removeAll();
+            if (options.grid) {
+                destroyGrid();
+            }
+
+            columns.forEach(column => {
+                column.button.querySelector('.sort-icon')?.remove();
+                column.header.append(...column.button.childNodes);
+                column.button.remove();
+                if (column.originalSort) {
+                    column.header.setAttribute('aria-sort', column.originalSort);
+                } else {
+                    column.header.removeAttribute('aria-sort');
+                }
+            });
+
+            getRows().forEach(row => {
+                row.hidden = false;
+            });
+            filterGroup?.remove();
+            if (filterGroup && generatedId) {
+                table.removeAttribute('id');
+            }
+
+            unregisterInstance(table);
+        }
+
+        return registerInstance(table, {
+            type: 'table',
+            element: table,
+            options,
+            controls: filterField ? [filterField] : [],
+            sort,
+            filter,
+            getSort: () => ({
+                column: sortState.column ? sortState.column.index : null,
+                header: sortState.column ? sortState.column.header : null,
+                direction: sortState.direction
+            }),
+            destroy
+        });
+    }
+
+    function initCheckboxGroups(root = document) {
+        queryAll(root, selectors.checkboxGroup).forEach(fieldset => {
+            createCheckboxGroup(fieldset, readOptions(fieldset, {
+                selectAllLabel: '',
+                announce: true
+            }));
+        });
+    }
+
+    /**
+     * Fieldset with a parent checkbox that checks or unchecks every checkbox in it and shows
+     * mixed when only some are checked. The parent is the element marked data-aui-select-all in
+     * the fieldset, or one is added after the legend. Groups can be nested: an outer parent
+     * covers the checkboxes of inner groups too, and the inner parents follow it.
+     * @param {HTMLFieldSetElement} fieldset - Fieldset holding the checkboxes
+     * @param {Object} options
+     * @param {string} options.selectAllLabel - Label of the parent checkbox when it is added; the select-all message when empty
+     * @param {boolean} options.announce - Announce the selection count as it changes
+     */
+    function createCheckboxGroup(fieldset, options) {
+        if (instances.has(fieldset)) return instances.get(fieldset);
+
+        const listeners = createListenerGroup();
+        let parent = [...fieldset.querySelectorAll('[data-aui-select-all]')]
+            .find(candidate => candidate.closest(selectors.checkboxGroup) === fieldset);
+        const addedParent = !parent;
+
+        if (addedParent) {
+            parent = document.createElement('input');
+            parent.type = 'checkbox';
+            parent.id = generateId('select-all');
+            parent.setAttribute('data-aui-select-all', '');
+
+            const label = document.createElement('label');
+            label.htmlFor = parent.id;
+            label.textContent = options.selectAllLabel || getMessage('select-all', {}, fieldset);
+
+            const option = document.createElement('div');
+            option.className = 'checkbox-group select-all-option';
+            option.append(parent, label);
+
+            const legend = fieldset.querySelector(':scope > legend');
+            if (legend) {
+                legend.after(option);
+            } else {
+                fieldset.prepend(option);
+            }
+        }
+
+        // Every enabled checkbox in the group, nested groups included, apart from the parents
+        function getCheckboxes() {
+            return [...fieldset.querySelectorAll('input[type="checkbox"], [role="checkbox"]')]
+                .filter(checkbox => !checkbox.hasAttribute('data-aui-select-all') &&
+                    !checkbox.disabled && checkbox.getAttribute('aria-disabled') !== 'true');
+        }
+
+        function isChecked(checkbox) {
+            return checkbox.matches('input') ? checkbox.checked : checkbox.getAttribute('aria-checked') === 'true';
+        }
+
+        function setChecked(checkbox, checked) {
+            if (checkbox.matches('input')) {
+                checkbox.checked = checked;
+            } else {
+                checkbox.setAttribute('aria-checked', String(checked));
+            }
+        }
+
+        /**
+         * @returns {string} 'true', 'false' or 'mixed'
+         */
+        function getState() {
+            const checkboxes = getCheckboxes();
+            const checkedCount = checkboxes.filter(isChecked).length;
+            if (checkedCount === 0) return 'false';
+            return checkedCount === checkboxes.length ? 'true' : 'mixed';
+        }
+
+        // Native parents show mixed through indeterminate, custom ones through aria-checked
+        function update() {
+            const state = getState();
+            if (parent.matches('input')) {
+                parent.checked = state === 'true';
+                parent.indeterminate = state === 'mixed';
+            } else {
+                parent.setAttribute('aria-checked', state);
+            }
+
+            const ids = getCheckboxes().map(checkbox => {
+                if (!checkbox.id) checkbox.id = generateId('checkbox');
+                return checkbox.id;
+            });
+            parent.setAttribute('aria-controls', ids.join(' '));
+            return state;
+        }
+
+        function announceCount() {
+            if (!options.announce) return;
+
+            const checkboxes = getCheckboxes();
+            const legend = fieldset.querySelector(':scope > legend');
+            const count = getMessage('selection-count', { selected: checkboxes.filter(isChecked).length, total: checkboxes.length }, fieldset);
+            announce(legend ? getMessage('labelled', { label: getLabelText(legend), text: count }, fieldset) : count, { debounce: true });
+        }
+
+        /**
+         * Check or uncheck every checkbox in the group
+         * @param {boolean} checked
+         */
+        function setAll(checked) {
+            getCheckboxes().forEach(checkbox => setChecked(checkbox, checked));
+
+            // Inner groups follow, then anything this group is nested in
+            fieldset.querySelectorAll(selectors.checkboxGroup).forEach(group => instances.get(group)?.update());
+            update();
+            updateOuterGroups();
+            announceCount();
+            dispatchWidgetEvent(fieldset, 'selectionchange', { state: getState(), selected: getSelected() });
+        }
+
+        function updateOuterGroups() {
+            let outer = fieldset.parentElement?.closest(selectors.checkboxGroup);
+            while (outer) {
+                instances.get(outer)?.update();
+                outer = outer.parentElement?.closest(selectors.checkboxGroup);
+            }
+        }
+
+        function getSelected() {
+            return getCheckboxes().filter(isChecked);
+        }
+
+        function toggleAll() {
+            setAll(getState() !== 'true');
+        }
+
+        // The new state comes from the children, not from the native parent's own toggle
+        listeners.add(parent, 'click', toggleAll);
+
+        // Custom role="checkbox" parents toggle with Space like native ones
+        if (!parent.matches('input')) {
+            listeners.add(parent, 'keydown', e => {
+                if (e.key === ' ') {
+                    e.preventDefault();
+                    toggleAll();
+                }
+            });
+        }
+
+        listeners.add(fieldset, 'change', e => {
+            if (e.target === parent || !getCheckboxes().includes(e.target)) return;
+
+            update();
+            // Only the innermost group announces, so one change is one message
+            if (e.target.closest(selectors.checkboxGroup) === fieldset) {
+                announceCount();
+            }
+            dispatchWidgetEvent(fieldset, 'selectionchange', { state: getState(), selected: getSelected() });
+        });
+
+        // Custom role="checkbox" children report changes through aria-checked
+        const observer = new MutationObserver(mutations => {
+            if (mutations.some(mutation => mutation.target !== parent)) update();
+        });
+        observer.observe(fieldset, { subtree: true, attributes: true, attributeFilter: ['aria-checked'] });
+
+        update();
+
+        function destroy() {
+            listeners.removeAll();
+            observer.disconnect();
+            if (addedParent) {
+                parent.closest('.select-all-option').remove();
+            }
+            unregisterInstance(fieldset);
+        }
+
+        return registerInstance(fieldset, {
+            type: 'checkbox-group',
+            element: fieldset,
+            options,
+            controls: [parent],
+            getState,
+            getSelected,
+            setAll,
+            update,
+            destroy
+        });
+    }
+
+    function initRadioGroups(root = document) {
+        queryAll(root, selectors.radioGroup).forEach(group => {
+            createRadioGroup(group, readOptions(group, {
+                name: ''
+            }));
+        });
+    }
+
+    /**
+     * Custom radio group (role="radiogroup" holding role="radio" elements) that behaves like native
+     * radios, using the same roving tabindex as tabs: the checked radio is the only tab stop, arrow
+     * keys move and check, wrapping and skipping radios with aria-disabled="true", and Left and
+     * Right follow the reading direction. Values come from data-aui-value on each radio and are
+     * kept in a hidden input so the group submits with its form.
+     * @param {Element} group - Element with role="radiogroup"
+     * @param {Object} options
+     * @param {string} options.name - Name of the hidden input; an existing hidden input in the group is used instead
+     */
+    function createRadioGroup(group, options) {
+        if (instances.has(group)) return instances.get(group);
+
+        const listeners = createListenerGroup();
+        let input = group.querySelector('input[type="hidden"]');
+        const addedInput = !input;
+
+        if (addedInput) {
+            input = document.createElement('input');
+            input.type = 'hidden';
+            input.name = options.name;
+            group.appendChild(input);
+        }
+
+        function getRadios() {
+            return [...group.querySelectorAll('[role="radio"]')];
+        }
+
+        function isDisabled(radio) {
+            return radio.getAttribute('aria-disabled') === 'true';
+        }
+
+        function getChecked() {
+            return getRadios().find(radio => radio.getAttribute('aria-checked') === 'true');
+        }
+
+        function getValue(radio) {
+            return radio.getAttribute('data-aui-value') ?? getLabelText(radio);
+        }
+
+        // Unchecked groups are entered at the first enabled radio, like native ones
+        function updateTabStop() {
+            const radios = getRadios();
+            setRovingTabIndex(radios, getChecked() || radios.find(radio => !isDisabled(radio)));
+        }
+
+        /**
+         * @param {Element} radio - Radio to check
+         * @param {Object} [config]
+         * @param {boolean} [config.silent=false] - Skip the change event (initial state and form reset)
+         * @returns {boolean} false if the radio is disabled
+         */
+        function check(radio, config = {}) {
+            if (isDisabled(radio)) return false;
+
+            const previous = getChecked();
+            getRadios().forEach(candidate => {
+                candidate.setAttribute('aria-checked', String(candidate === radio));
+            });
+            input.value = getValue(radio);
+            updateTabStop();
+
+            if (!config.silent && previous !== radio) {
+                dispatchWidgetEvent(group, 'change', { radio, value: input.value, previous });
+            }
+            return true;
+        }
+
+        function clear() {
+            getRadios().forEach(radio => radio.setAttribute('aria-checked', 'false'));
+            input.value = '';
+            updateTabStop();
+        }
+
+        // Initial state: at most one checked radio, and its value in the hidden input
+        const initialRadio = getChecked();
+        if (initialRadio && !isDisabled(initialRadio)) {
+            check(initialRadio, { silent: true });
+        } else {
+            clear();
+        }
+
+        listeners.add(group, 'click', e => {
+            const radio = e.target.closest('[role="radio"]');
+            if (!radio || isDisabled(radio)) return;
+
+            check(radio);
+            radio.focus();
+        });
+
+        listeners.add(group, 'keydown', e => {
+            const radio = e.target.closest('[role="radio"]');
+            if (!radio) return;
+
+            if (e.key === ' ') {
+                e.preventDefault();
+                check(radio);
+                return;
+            }
+
+            // Left and Right swap in right-to-left text; Up and Down never do
+            const rtl = isRtl(group);
+            const direction = {
+                ArrowUp: -1,
+                ArrowDown: 1,
+                ArrowLeft: rtl ? 1 : -1,
+                ArrowRight: rtl ? -1 : 1
+            }[e.key];
+            if (!direction || e.altKey || e.ctrlKey || e.metaKey) return;
+
+            e.preventDefault();
+            const nextRadio = getRovingSibling(getRadios(), radio, direction, isDisabled);
+            if (nextRadio && nextRadio !== radio) {
+                check(nextRadio);
+                nextRadio.focus();
+            }
+        });
+
+        // Resetting the form restores the radio checked at page load, once the native reset has run
+        listeners.add(document, 'reset', e => {
+            if (!e.target.contains(group)) return;
+            setTimeout(() => {
+                if (initialRadio && !isDisabled(initialRadio)) {
+                    check(initialRadio, { silent: true });
+                } else {
+                    clear();
+                }
+            });
+        });
+
+        function destroy() {
+            listeners.removeAll();
+            if (addedInput) {
+                input.remove();
+            }
+            unregisterInstance(group);
+        }
+
+        return registerInstance(group, {
+            type: 'radio-group',
+            element: group,
+            options,
+            get controls() {
+                return getRadios();
+            },
+            getValue: () => input.value,
+            /**
+             * Check the radio with a value
+             * @param {string} value
+             * @returns {boolean} false if no enabled radio has that value
+             */
+            setValue: value => {
+                const radio = getRadios().find(candidate => getValue(candidate) === value);
+                return radio ? check(radio) : false;
+            },
+            getChecked,
+            destroy
+        });
+    }
+
+    function openMobileMenu(toggle, navigation) {
+        if (navigation.getAttribute('data-open') === 'true') return;
+        if (!dispatchWidgetEvent(navigation, 'beforeopen', { toggle }, true)) return;
+
+        navigation.setAttribute('data-open', 'true');
+        toggle.setAttribute('aria-expanded', 'true');
+        toggle.setAttribute('aria-label', getMessage('nav-close-label', {}, toggle));
+        announce(getMessage('nav-opened', {}, navigation));
+        
+        // Focus first navigation link
+        const firstLink = navigation.querySelector('.nav-link, .nav-button');
+        if (firstLink) {
+            setTimeout(() => firstLink.focus(), 100);
+        }
+
+        dispatchWidgetEvent(navigation, 'open', { toggle });
+    }
+
+    /**
+     * @param {Object} [config]
+     * @param {boolean} [config.restoreFocus=true] - Return focus to the toggle if it was in the
+     *     navigation or already lost to the body
+     */
+    function closeMobileMenu(toggle, navigation, { restoreFocus = true } = {}) {
+        if (navigation.getAttribute('data-open') !== 'true') return;
+        if (!dispatchWidgetEvent(navigation, 'beforeclose', { toggle }, true)) return;
+
+        const focusWasInside = navigation.contains(document.activeElement) ||
+            document.activeElement === document.body;
+
+        navigation.setAttribute('data-open', 'false');
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.setAttribute('aria-label', getMessage('nav-toggle-label', {}, toggle));
+        announce(getMessage('nav-closed', {}, navigation));
+
+        if (restoreFocus && focusWasInside) {
+            returnFocus(toggle);
+        }
+
+        dispatchWidgetEvent(navigation, 'close', { toggle });
+    }
+
+    // Items that belong to this menu, not to a nested flyout
+    function getMenuItems(submenu) {
+        return [...submenu.querySelectorAll('[role="menuitem"]')]
+            .filter(item => item.closest('[role="menu"]') === submenu);
+    }
+
+    function focusFirstMenuItem(submenu) {
+        const firstItem = getMenuItems(submenu)[0];
+        if (firstItem) {
+            firstItem.focus();
+        }
+    }
+
+    function focusLastMenuItem(submenu) {
+        const menuItems = getMenuItems(submenu);
+        const lastItem = menuItems[menuItems.length - 1];
+        if (lastItem) {
+            lastItem.focus();
+        }
+    }
+
+    // Floating content anchored to its trigger, shared by floating disclosures and tooltips
+    const floatingConfig = {
+        offset: 8, // Gap between the trigger and the floating content
+        padding: 8 // Closest the content may come to a viewport edge
+    };
+
+    // Listener groups for floating content that follows its trigger on scroll and resize
+    const floatingTrackers = new Map();
+
+    /**
+     * Place fixed-position content next to an anchor, flipping to the opposite side when it
+     * doesn't fit and shifting along the side to stay inside the viewport. Content taller than the
+     * room above or below is given a max-height so it scrolls instead of covering the trigger.
+     * @param {Element} anchor - Element the content belongs to
+     * @param {HTMLElement} floating - Content to place; it must be visible to be measured
+     * @param {string} [placement='bottom'] - 'top', 'bottom', 'start' or 'end'; start and end follow the reading direction
+     * @returns {string} The side used: 'top', 'bottom', 'left' or 'right', also set as data-placement
+     */
+    function positionFloating(anchor, floating, placement = 'bottom') {
+        const { offset, padding } = floatingConfig;
+        const viewportWidth = document.documentElement.clientWidth || window.innerWidth;
+        const viewportHeight = document.documentElement.clientHeight || window.innerHeight;
+
+        // Measure at natural size
+        floating.style.position = 'fixed';
+        floating.style.maxHeight = '';
+        const anchorRect = anchor.getBoundingClientRect();
+        const rect = floating.getBoundingClientRect();
+
+        const rtl = isRtl(anchor);
+        const sides = { top: 'top', bottom: 'bottom', start: rtl ? 'right' : 'left', end: rtl ? 'left' : 'right' };
+        const opposite = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+        const space = {
+            top: anchorRect.top - offset - padding,
+            bottom: viewportHeight - anchorRect.bottom - offset - padding,
+            left: anchorRect.left - offset - padding,
+            right: viewportWidth - anchorRect.right - offset - padding
+        };
+        const isVertical = side => side === 'top' || side === 'bottom';
+        const fits = side => (isVertical(side) ? rect.height : rect.width) <= space[side];
+
+        let side = sides[placement] || 'bottom';
+        if (!fits(side) && (fits(opposite[side]) || space[opposite[side]] > space[side])) {
+            side = opposite[side];
+        }
+        // Content too wide for either side goes below or above instead
+        if (!isVertical(side) && !fits(side)) {
+            side = space.bottom >= space.top ? 'bottom' : 'top';
+        }
+
+        let x;
+        let y;
+        if (isVertical(side)) {
+            const height = Math.min(rect.height, Math.max(space[side], 0));
+            if (height < rect.height) {
+                floating.style.maxHeight = `${height}px`;
+            }
+            y = side === 'top' ? anchorRect.top - offset - height : anchorRect.bottom + offset;
+            x = anchorRect.left + (anchorRect.width - rect.width) / 2;
+            x = Math.max(padding, Math.min(x, viewportWidth - padding - rect.width));
+        } else {
+            x = side === 'left' ? anchorRect.left - offset - rect.width : anchorRect.right + offset;
+            y = anchorRect.top + (anchorRect.height - rect.height) / 2;
+            y = Math.max(padding, Math.min(y, viewportHeight - padding - rect.height));
+        }
+
+        floating.style.left = `${Math.round(x)}px`;
+        floating.style.top = `${Math.round(y)}px`;
+        floating.setAttribute('data-placement', side);
+        return side;
+    }
+
+    /**
+     * Position content now and again whenever the page scrolls or the viewport resizes
+     * @param {Element} anchor
+     * @param {HTMLElement} floating
+     * @param {string} [placement] - See positionFloating()
+     */
+    function trackFloating(anchor, floating, placement) {
+        untrackFloating(floating);
+
+        const listeners = createListenerGroup();
+        let frame = null;
+        // One update per frame however many scroll events arrive
+        const update = () => {
+            if (frame) return;
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                positionFloating(anchor, floating, placement);
+            });
+        };
+
+        // Capture catches scrolling containers as well as the page
+        listeners.add(window, 'scroll', update, { capture: true, passive: true });
+        listeners.add(window, 'resize', update);
+        floatingTrackers.set(floating, () => {
+            listeners.removeAll();
+            cancelAnimationFrame(frame);
+        });
+
+        positionFloating(anchor, floating, placement);
+    }
+
+    function untrackFloating(floating) {
+        floatingTrackers.get(floating)?.();
+        floatingTrackers.delete(floating);
+    }
+
+    // Anchor floating disclosure content to its button while it is open
+    function positionFloatingDisclosure(button, content) {
+        trackFloating(button, content, instances.get(button)?.options.placement || 'bottom');
+    }
+
+    function initDisclosureWidgets(root = document) {
+        // Initialize all disclosure buttons
+        const disclosureButtons = queryAll(root, selectors.disclosure);
+        
+        disclosureButtons.forEach(button => {
+            const contentId = button.getAttribute('aria-controls');
+            const content = document.getElementById(contentId);
+            
+            if (!content) return;
+
+            createDisclosure(button, content, readOptions(button, {
+                closeOnOutsideClick: true,
+                placement: 'bottom'
+            }));
+        });
+    }
+
+    /**
+     * @param {Element} button - Button with aria-controls pointing at the content
+     * @param {Element} content - Content to show and hide
+     * @param {Object} options
+     * @param {boolean} options.closeOnOutsideClick - Floating content closes when clicking elsewhere
+     * @param {string} options.placement - Side of the button floating content opens on: 'top', 'bottom', 'start' or 'end'
+     */
+    function createDisclosure(button, content, options) {
+        if (instances.has(button)) return instances.get(button);
+
+        const listeners = createListenerGroup();
+        const isFloating = content.classList.contains('disclosure-floating');
+        const layer = {
+            element: content,
+            onEscape: () => {
+                closeDisclosure(button, content);
+                returnFocus(button);
+            }
+        };
+
+        // Set initial state
+        const isExpanded = button.getAttribute('aria-expanded') === 'true';
+        content.hidden = !isExpanded;
+        
+        // Handle button click
+        listeners.add(button, 'click', function() {
+            toggleDisclosure(button, content);
+        });
+        
+        // Native buttons already click on Enter and Space
+        if (!button.matches('button')) {
+            listeners.add(button, 'keydown', function(e) {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    toggleDisclosure(button, content);
+                }
+            });
+        }
+
+        if (isFloating) {
+            // Close floating disclosures when clicking outside
+            listeners.add(document, 'click', function(e) {
+                if (options.closeOnOutsideClick &&
+                    !content.hidden &&
+                    !button.contains(e.target) &&
+                    !content.contains(e.target)) {
+                    closeDisclosure(button, content);
+                }
+            });
+
+            // Escape closes the floating content while it is the topmost layer
+            listeners.add(button, `${EVENT_PREFIX}open`, e => {
+                if (e.target === button) addKeyboardLayer(layer);
+            });
+            listeners.add(button, `${EVENT_PREFIX}close`, e => {
+                if (e.target === button) removeKeyboardLayer(layer);
+            });
+        }
+
+        function destroy() {
+            listeners.removeAll();
+            removeKeyboardLayer(layer);
+            untrackFloating(content);
+            unregisterInstance(button);
+        }
+
+        return registerInstance(button, {
+            type: 'disclosure',
+            element: button,
+            options,
+            controls: [content],
+            open: () => openDisclosure(button, content),
+            close: () => closeDisclosure(button, content),
+            toggle: () => toggleDisclosure(button, content),
+            isOpen: () => !content.hidden,
+            destroy
+        });
+    }
+
+    function initTooltips(root = document) {
+        queryAll(root, selectors.tooltip).forEach(trigger => {
+            createTooltip(trigger, readOptions(trigger, {
+                placement: 'top',
+                showDelay: 300,
+                hideDelay: 300
+            }));
+        });
+    }
+
+    // The tooltip on screen, so showing one hides any other
+    let activeTooltip = null;
+
+    /**
+     * Tooltip meeting WCAG 1.4.13: shown on hover and focus, dismissed with Escape without moving
+     * focus, and kept open while the pointer moves from the trigger onto it. The tooltip is the
+     * role="tooltip" element the trigger's aria-describedby points at; a trigger with only a title
+     * gets one made from the title, which is removed so the browser's own tooltip doesn't show too.
+     * @param {Element} trigger - Element the tooltip describes
+     * @param {Object} options
+     * @param {string} options.placement - 'top', 'bottom', 'start' or 'end'
+     * @param {number} options.showDelay - Time in ms the pointer rests on the trigger before it shows
+     * @param {number} options.hideDelay - Time in ms before it hides once pointer and focus have left
+     */
+    function createTooltip(trigger, options) {
+        if (instances.has(trigger)) return instances.get(trigger);
+
+        const originalDescribedBy = trigger.getAttribute('aria-describedby');
+        const originalTitle = trigger.getAttribute('title');
+        let tooltip = (originalDescribedBy || '').split(/\s+/)
+            .map(id => document.getElementById(id))
+            .find(element => element?.getAttribute('role') === 'tooltip');
+        const createdTooltip = !tooltip;
+
+        if (createdTooltip) {
+            if (!originalTitle) return undefined;
+
+            tooltip = document.createElement('div');
+            tooltip.id = generateId('tooltip');
+            tooltip.className = 'tooltip';
+            tooltip.setAttribute('role', 'tooltip');
+            tooltip.textContent = originalTitle;
+            document.body.appendChild(tooltip);
+
+            trigger.removeAttribute('title');
+            trigger.setAttribute('aria-describedby', [originalDescribedBy, tooltip.id].filter(Boolean).join(' '));
+        }
+        tooltip.hidden = true;
+
+        const listeners = createListenerGroup();
+        // Escape keeps it closed until pointer and focus have both left
+        const state = { hovered: false, focused: false, dismissed: false, timer: null };
+
+        // Shown last, so Escape dismisses the tooltip and not the dialog or menu the trigger sits in
+        const layer = {
+            element: tooltip,
+            onEscape: () => {
+                state.dismissed = true;
+                hide();
+            }
+        };
+
+        function show() {
+            clearTimeout(state.timer);
+            if (!tooltip.hidden || state.dismissed) return;
+
+            if (activeTooltip && activeTooltip !== instance) {
+                activeTooltip.hide();
+            }
+            tooltip.hidden = false;
+            trackFloating(trigger, tooltip, options.placement);
+            addKeyboardLayer(layer);
+            activeTooltip = instance;
+            dispatchWidgetEvent(trigger, 'open', { content: tooltip });
+        }
+
+        function hide() {
+            clearTimeout(state.timer);
+            if (tooltip.hidden) return;
+
+            tooltip.hidden = true;
+            untrackFloating(tooltip);
+            removeKeyboardLayer(layer);
+            if (activeTooltip === instance) {
+                activeTooltip = null;
+            }
+            dispatchWidgetEvent(trigger, 'close', { content: tooltip });
+        }
+
+        function handleLeave() {
+            if (state.hovered || state.focused) return;
+
+            state.dismissed = false;
+            clearTimeout(state.timer);
+            state.timer = setTimeout(hide, options.hideDelay);
+        }
+
+        listeners.add(trigger, 'mouseenter', () => {
+            state.hovered = true;
+            clearTimeout(state.timer);
+            if (tooltip.hidden) {
+                state.timer = setTimeout(show, options.showDelay);
+            }
+        });
+
+        // Moving onto the tooltip keeps it open, so it can be read at any magnification
+        listeners.add(tooltip, 'mouseenter', () => {
+            state.hovered = true;
+            clearTimeout(state.timer);
+        });
+
+        [trigger, tooltip].forEach(element => {
+            listeners.add(element, 'mouseleave', () => {
+                state.hovered = false;
+                handleLeave();
+            });
+        });
+
+        listeners.add(trigger, 'focus', () => {
+            state.focused = true;
+            show();
+        });
+
+        listeners.add(trigger, 'blur', () => {
+            state.focused = false;
+            handleLeave();
+        });
+
+        function destroy() {
+            listeners.removeAll();
+            hide();
+
+            if (createdTooltip) {
+                tooltip.remove();
+                trigger.setAttribute('title', originalTitle);
+                if (originalDescribedBy) {
+                    trigger.setAttribute('aria-describedby', originalDescribedBy);
+                } else {
+                    trigger.removeAttribute('aria-describedby');
+                }
+            }
+            unregisterInstance(trigger);
+        }
+
+        const instance = registerInstance(trigger, {
+            type: 'tooltip',
+            element: trigger,
+            options,
+            controls: [tooltip],
+            show,
+            hide,
+            isOpen: () => !tooltip.hidden,
+            destroy
+        });
+        return instance;
+    }
+
+    function initMobileMenus(root = document) {
+        queryAll(root, selectors.navToggle).forEach(mobileToggle => {
+            // Prefer the aria-controls target, otherwise the navigation in the same header
+            const navigation = document.getElementById(mobileToggle.getAttribute('aria-controls')) ||
+                mobileToggle.closest('header')?.querySelector(selectors.navigation);
+
+            if (!navigation) return;
+
+            createMobileMenu(mobileToggle, navigation, readOptions(mobileToggle, {
+                breakpoint: 768
+            }));
+        });
+    }
+
+    /**
+     * Off-canvas navigation for small viewports. Below the breakpoint the toggle shows the
+     * navigation, focus stays inside it while open, and menu buttons inside it become
+     * disclosure-style expandable lists.
+     * @param {Element} mobileToggle - Button that shows and hides the navigation
+     * @param {Element} navigation - Navigation landmark
+     * @param {Object} options
+     * @param {number} options.breakpoint - Viewport width in px up to which the off-canvas layout applies;
+     *     keep it in step with the max-width media query in the stylesheet
+     */
+    function createMobileMenu(mobileToggle, navigation, options) {
+        if (instances.has(navigation)) return instances.get(navigation);
+
+        const listeners = createListenerGroup();
+        // Without matchMedia, as in jsdom, the navigation keeps its wide layout
+        const mediaQuery = window.matchMedia ? window.matchMedia(`(max-width: ${options.breakpoint}px)`) : null;
+        const isSmallScreen = () => Boolean(mediaQuery?.matches);
+        const originalControls = mobileToggle.getAttribute('aria-controls');
+
+        // The toggle must point at a real id
+        if (!navigation.id) {
+            navigation.id = generateId('navigation');
+        }
+        mobileToggle.setAttribute('aria-controls', navigation.id);
+
+        const isOpen = () => navigation.getAttribute('data-open') === 'true';
+        const close = config => closeMobileMenu(mobileToggle, navigation, config);
+
+        function getNestedMenus() {
+            return getInstances('menu').filter(instance => navigation.contains(instance.element));
+        }
+
+        function updateLayout() {
+            const isSmall = isSmallScreen();
+
+            // On a wide screen the navigation is always visible, so focus is not lost
+            if (!isSmall) {
+                close({ restoreFocus: false });
+            }
+            getNestedMenus().forEach(menu => menu.setMode(isSmall ? 'disclosure' : 'menu'));
+        }
+
+        listeners.add(mobileToggle, 'click', function() {
+            if (isOpen()) {
+                close();
+            } else {
+                openMobileMenu(mobileToggle, navigation);
+            }
+        });
+
+        // Nested lists handle Escape first and prevent the default, so the layer only sees the rest
+        const layer = {
+            element: navigation,
+            onEscape: () => {
+                close();
+                returnFocus(mobileToggle);
+            },
+            onTab: containFocus
+        };
+        listeners.add(navigation, `${EVENT_PREFIX}open`, e => {
+            if (e.target === navigation) addKeyboardLayer(layer);
+        });
+        listeners.add(navigation, `${EVENT_PREFIX}close`, e => {
+            if (e.target === navigation) removeKeyboardLayer(layer);
+        });
+
+        // Tab and Shift+Tab cycle through the toggle and the navigation's controls
+        function containFocus(e) {
+            const focusable = [mobileToggle, ...getFocusableElements(navigation)];
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const current = document.activeElement;
+
+            if (!focusable.includes(current)) {
+                e.preventDefault();
+                first.focus();
+            } else if (e.shiftKey && current === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && current === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+
+        // Close on clicks outside the navigation and its toggle
+        listeners.add(document, 'click', function(e) {
+            if (isOpen() && !navigation.contains(e.target) && !mobileToggle.contains(e.target)) {
+                close();
+            }
+        });
+
+        // Following a link closes the menu; focus goes wherever the link leads
+        listeners.add(navigation, 'click', function(e) {
+            if (isOpen() && e.target.closest('a[href]')) {
+                close({ restoreFocus: false });
+            }
+        });
+
+        // Menu buttons added to the navigation later take on the current layout
+        listeners.add(navigation, `${EVENT_PREFIX}init`, e => {
+            if (isSmallScreen() && getInstance(e.target)?.type === 'menu') {
+                getInstance(e.target).setMode('disclosure');
+            }
+        });
+
+        if (mediaQuery) {
+            listeners.add(mediaQuery, 'change', updateLayout);
+        }
+        updateLayout();
+
+        function destroy() {
+            close({ restoreFocus: false });
+            getNestedMenus().forEach(menu => menu.setMode('menu'));
+            listeners.removeAll();
+            removeKeyboardLayer(layer);
+            if (originalControls) {
+                mobileToggle.setAttribute('aria-controls', originalControls);
+            }
+            unregisterInstance(navigation);
+        }
+
+        return registerInstance(navigation, {
+            type: 'navigation',
+            element: navigation,
+            options,
+            controls: [mobileToggle],
+            open: () => openMobileMenu(mobileToggle, navigation),
+            close: () => close(),
+            toggle: () => (isOpen() ? close() : openMobileMenu(mobileToggle, navigation)),
+            isOpen,
+            // True below the breakpoint, where the off-canvas layout applies
+            isSmallScreen,
+            destroy
+        });
+    }
+
+    // Keyboard dispatcher: one document listener serves the open layers and the shortcut registry
+    const shortcutConfig = {
+        storageKey: 'aui-shortcuts',
+        triggerSelector: '[data-aui-shortcuts]',
+        // Keys a shortcut can't take: they already mean something everywhere
+        reservedKeys: ['Tab', 'Enter', ' ', 'Escape'],
+        modifierKeys: ['Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock']
+    };
+
+    const keyboard = {
+        // Open widgets, topmost last; see addKeyboardLayer()
+        layers: [],
+        shortcuts: new Map(),
+        // The user's remapped keys by shortcut id; '' turns a shortcut off
+        bindings: {},
+        listening: false,
+        helpDialog: null
+    };
+
+    function initKeyboardNavigation() {
+        if (keyboard.listening) return;
+        keyboard.listening = true;
+        keyboard.bindings = loadShortcutBindings();
+
+        addShortcut('shortcuts-help', {
+            keys: '?',
+            messageKey: 'shortcut-help',
+            handler: () => showShortcuts()
+        });
+
+        document.addEventListener('keydown', handleKeydown);
+
+        document.addEventListener('click', e => {
+            const trigger = e.target.closest(shortcutConfig.triggerSelector);
+            if (trigger) showShortcuts(trigger);
+        });
+    }
+
+    function handleKeydown(e) {
+        // A widget that used the key itself, like a menu backing out one level, has the final say
+        if (e.defaultPrevented) return;
+
+        if (e.key === 'Escape') {
+            const top = keyboard.layers[keyboard.layers.length - 1];
+            if (top?.onEscape) {
+                e.preventDefault();
+                top.onEscape(e);
+            }
+            return;
+        }
+
+        // A tooltip over a dialog doesn't stop the dialog keeping Tab inside
+        if (e.key === 'Tab') {
+            const container = [...keyboard.layers].reverse().find(layer => layer.onTab);
+            container?.onTab(e);
+            return;
+        }
+
+        const keys = getEventKeys(e);
+        const shortcut = [...keyboard.shortcuts.values()].find(item => getShortcutKeys(item.id) === keys);
+        if (!shortcut) return;
+
+        // Single keys are for typing while in a field, and can be switched off altogether (WCAG 2.1.4)
+        if (isCharacterKeys(keys) &&
+            (!getPreference('character-shortcuts') || e.target.closest?.('input, textarea, select, [contenteditable="true"]'))) {
+            return;
+        }
+
+        if (shortcut.handler(e) !== false) {
+            e.preventDefault();
+        }
+    }
+
+    /**
+     * Put an open widget on top of the keyboard layer stack. Only the topmost layer gets Escape,
+     * and Tab goes to the topmost layer that keeps focus inside.
+     * @param {Object} layer
+     * @param {Element} layer.element - The open widget
+     * @param {Function} [layer.onEscape] - Close it
+     * @param {Function} [layer.onTab] - Keep focus inside; receives the keydown event
+     * @returns {Object} The layer, for removeKeyboardLayer()
+     */
+    function addKeyboardLayer(layer) {
+        removeKeyboardLayer(layer);
+        keyboard.layers.push(layer);
+        return layer;
+    }
+
+    // Layers can close in any order, like a dialog underneath another
+    function removeKeyboardLayer(layer) {
+        const index = keyboard.layers.indexOf(layer);
+        if (index !== -1) keyboard.layers.splice(index, 1);
+    }
+
+    /**
+     * Keys of a keydown as written in bindings: modifiers in the order Ctrl, Alt, Shift, Meta, then the key.
+     * A printable key without Ctrl, Alt or Meta is the character alone ('?', 'g', 'G').
+     */
+    function getEventKeys(e) {
+        const isCharacter = e.key.length === 1 && !e.ctrlKey && !e.altKey && !e.metaKey;
+        if (isCharacter) return e.key;
+
+        // Alt changes the character on some layouts, so letters and digits come from the physical key
+        const physical = /^(?:Key|Digit)(.)$/.exec(e.code || '');
+        const key = physical ? physical[1] : (e.key.length === 1 ? e.key.toUpperCase() : e.key);
+        return [
+            e.ctrlKey && 'Ctrl',
+            e.altKey && 'Alt',
+            e.shiftKey && 'Shift',
+            e.metaKey && 'Meta',
+            key
+        ].filter(Boolean).join('+');
+    }
+
+    function isCharacterKeys(keys) {
+        return keys.length === 1;
+    }
+
+    /**
+     * Register a keyboard shortcut. Users can remap it or turn it off; single-key shortcuts
+     * never fire while typing in a field and follow the character-shortcuts preference.
+     * @param {string} id - Stable name, used to remap it
+     * @param {Object} shortcut
+     * @param {string} shortcut.keys - Default keys, such as '?' or 'Alt+Shift+N' (Ctrl, Alt, Shift, Meta in that order)
+     * @param {string} [shortcut.description] - What it does, listed in the shortcuts dialog
+     * @param {string} [shortcut.messageKey] - Catalog key for the description instead, looked up each time it is shown
+     * @param {Function} shortcut.handler - Receives the keydown event; return false to let the key through
+     * @returns {Function} Removes the shortcut again
+     */
+    function addShortcut(id, { keys, description, messageKey, handler }) {
+        keyboard.shortcuts.set(id, { id, defaultKeys: keys, description, messageKey, handler });
+        renderShortcutList();
+        return () => removeShortcut(id);
+    }
+
+    function removeShortcut(id) {
+        keyboard.shortcuts.delete(id);
+        renderShortcutList();
+    }
+
+    // Catalog descriptions follow the current locale and any strings added later
+    function getShortcutDescription(shortcut) {
+        return shortcut.messageKey ? getMessage(shortcut.messageKey) : shortcut.description;
+    }
+
+    // Keys in effect for a shortcut; empty when the user turned it off
+    function getShortcutKeys(id) {
+        const shortcut = keyboard.shortcuts.get(id);
+        if (!shortcut) return '';
+        return typeof keyboard.bindings[id] === 'string' ? keyboard.bindings[id] : shortcut.defaultKeys;
+    }
+
+    /**
+     * Remap a shortcut and save the choice
+     * @param {string} id - Shortcut id
+     * @param {string|null} keys - New keys, '' to turn it off, or null for the default again
+     * @returns {boolean} false for unknown ids or keys another shortcut already uses
+     */
+    function setShortcut(id, keys) {
+        const shortcut = keyboard.shortcuts.get(id);
+        if (!shortcut) return false;
+
+        const inUse = keys && getShortcuts().find(item => item.id !== id && item.keys === keys);
+        if (inUse) return false;
+
+        if (keys === null) {
+            delete keyboard.bindings[id];
+        } else {
+            keyboard.bindings[id] = String(keys);
+        }
+        saveShortcutBindings();
+        renderShortcutList();
+
+        const current = getShortcutKeys(id);
+        announce(current
+            ? getMessage('labelled', { label: getShortcutDescription(shortcut), text: current })
+            : getMessage('shortcut-turned-off', { description: getShortcutDescription(shortcut) }));
+        return true;
+    }
+
+    // Every registered shortcut with the keys in effect
+    function getShortcuts() {
+        return [...keyboard.shortcuts.values()].map(shortcut => ({
+            id: shortcut.id,
+            keys: getShortcutKeys(shortcut.id),
+            defaultKeys: shortcut.defaultKeys,
+            description: getShortcutDescription(shortcut)
+        }));
+    }
+
+    function loadShortcutBindings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(shortcutConfig.storageKey));
+            if (saved && typeof saved === 'object') return saved;
+        } catch (error) {
+            // Storage can be unavailable or hold stale data; use the defaults
+        }
+        return {};
+    }
+
+    function saveShortcutBindings() {
+        try {
+            localStorage.setItem(shortcutConfig.storageKey, JSON.stringify(keyboard.bindings));
+        } catch (error) {
+            // Remapping still works for this visit
+        }
+    }
+
+    /**
+     * Open the keyboard shortcuts dialog, built on first use from the registry
+     * @param {Element} [trigger] - Element to return focus to on close
+     */
+    function showShortcuts(trigger) {
+        if (!keyboard.helpDialog?.element.isConnected) {
+            keyboard.helpDialog = createShortcutsDialog();
+        }
+        renderShortcutList();
+        keyboard.helpDialog.open(trigger);
+    }
+
+    function createShortcutsDialog() {
+        const dialog = document.createElement('div');
+        dialog.id = 'aui-shortcuts-dialog';
+        dialog.className = 'modal-overlay shortcuts-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'aui-shortcuts-title');
+        dialog.hidden = true;
+
+        const container = document.createElement('div');
+        container.className = 'modal-dialog';
+
+        const header = document.createElement('div');
+        header.className = 'modal-header';
+        const title = document.createElement('h2');
+        title.id = 'aui-shortcuts-title';
+        title.textContent = getMessage('shortcuts-title');
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'modal-close-button';
+        close.setAttribute('data-aui-dialog-close', '');
+        close.setAttribute('aria-label', getMessage('shortcuts-close'));
+        close.textContent = '×';
+        header.append(title, close);
+
+        const body = document.createElement('div');
+        body.className = 'modal-body';
+
+        const table = document.createElement('table');
+        table.className = 'shortcuts-table';
+        const thead = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        [getMessage('shortcuts-action'), getMessage('shortcuts-keys'), getMessage('shortcut-change')].forEach(text => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = text;
+            headRow.appendChild(th);
+        });
+        thead.appendChild(headRow);
+        const tbody = document.createElement('tbody');
+        table.append(thead, tbody);
+
+        const hint = document.createElement('p');
+        hint.className = 'field-description';
+        hint.textContent = getMessage('shortcuts-hint');
+
+        // Bound through the preferences module like the switches on the page
+        const switchGroup = document.createElement('div');
+        switchGroup.className = 'switch-group';
+        const switchLabel = document.createElement('label');
+        switchLabel.className = 'switch';
+        switchLabel.htmlFor = 'aui-character-shortcuts';
+        const switchInput = document.createElement('input');
+        switchInput.type = 'checkbox';
+        switchInput.id = 'aui-character-shortcuts';
+        switchInput.setAttribute('role', 'switch');
+        switchInput.setAttribute('data-aui-preference', 'character-shortcuts');
+        switchInput.checked = getPreference('character-shortcuts');
+        const slider = document.createElement('span');
+        slider.className = 'switch-slider';
+        switchLabel.append(switchInput, slider);
+        const switchText = document.createElement('label');
+        switchText.htmlFor = 'aui-character-shortcuts';
+        switchText.textContent = getMessage('preference-character-shortcuts');
+        switchGroup.append(switchLabel, switchText);
+
+        const restore = document.createElement('button');
+        restore.type = 'button';
+        restore.className = 'button';
+        restore.textContent = getMessage('shortcuts-restore');
+        restore.addEventListener('click', () => {
+            keyboard.bindings = {};
+            saveShortcutBindings();
+            renderShortcutList();
+            announce(getMessage('shortcuts-restored'));
+        });
+
+        body.append(table, hint, switchGroup, restore);
+        container.append(header, body);
+        dialog.appendChild(container);
+        document.body.appendChild(dialog);
+
+        return createDialog(dialog, {
+            modal: true,
+            trapFocus: true,
+            closeOnOverlayClick: true,
+            initialFocus: ''
+        });
+    }
+
+    // One row per shortcut, rebuilt whenever the registry or a binding changes
+    function renderShortcutList() {
+        const tbody = keyboard.helpDialog?.element.querySelector('.shortcuts-table tbody');
+        if (!tbody) return;
+
+        const focusedId = tbody.contains(document.activeElement)
+            ? document.activeElement.getAttribute('data-shortcut')
+            : null;
+        tbody.replaceChildren();
+
+        getShortcuts().forEach(shortcut => {
+            const row = document.createElement('tr');
+
+            const action = document.createElement('th');
+            action.scope = 'row';
+            action.textContent = shortcut.description;
+
+            const keysCell = document.createElement('td');
+            if (shortcut.keys) {
+                const kbd = document.createElement('kbd');
+                kbd.textContent = shortcut.keys;
+                keysCell.appendChild(kbd);
+            } else {
+                keysCell.textContent = getMessage('shortcut-off');
+            }
+
+            const changeCell = document.createElement('td');
+            const change = document.createElement('button');
+            change.type = 'button';
+            change.className = 'shortcut-change';
+            change.textContent = getMessage('shortcut-change');
+            change.setAttribute('aria-label', getMessage('shortcut-change-label', { description: shortcut.description }));
+            change.setAttribute('data-shortcut', shortcut.id);
+            change.addEventListener('click', () => captureShortcut(change, shortcut));
+            changeCell.appendChild(change);
+
+            row.append(action, keysCell, changeCell);
+            tbody.appendChild(row);
+        });
+
+        // Rebuilding must not drop focus from the row being edited
+        if (focusedId) {
+            tbody.querySelector(`[data-shortcut="${focusedId}"]`)?.focus();
+        }
+    }
+
+    // The next keys pressed on the Change button become the shortcut
+    function captureShortcut(button, shortcut) {
+        if (button.getAttribute('aria-pressed') === 'true') return;
+
+        button.setAttribute('aria-pressed', 'true');
+        button.textContent = getMessage('shortcut-capturing');
+        announce(getMessage('shortcut-capture-start', { description: shortcut.description }));
+
+        function stop() {
+            button.removeEventListener('keydown', onKeydown);
+            button.removeEventListener('blur', stop);
+            button.removeAttribute('aria-pressed');
+            button.textContent = getMessage('shortcut-change');
+        }
+
+        function onKeydown(e) {
+            if (shortcutConfig.modifierKeys.includes(e.key)) return;
+            if (e.key === 'Tab') {
+                stop();
+                return;
+            }
+
+            // Escape cancels here rather than closing the dialog
+            e.preventDefault();
+            if (e.key === 'Escape') {
+                stop();
+                announce(getMessage('shortcut-capture-cancelled'));
+                return;
+            }
+            if (shortcutConfig.reservedKeys.includes(e.key) && !e.ctrlKey && !e.altKey && !e.metaKey) return;
+
+            const keys = ['Delete', 'Backspace'].includes(e.key) ? '' : getEventKeys(e);
+            const inUse = keys && getShortcuts().find(item => item.id !== shortcut.id && item.keys === keys);
+            if (inUse) {
+                announce(getMessage('shortcut-in-use', { keys, description: inUse.description }));
+                return;
             }
+
+            stop();
+            setShortcut(shortcut.id, keys);
         }
-        
-        // Position floating disclosures
-        if (content.classList.contains('disclosure-floating')) {
-            positionFloatingDisclosure(button, content);
-        }
-        
-        // Announce to screen readers
-        const contentType = content.classList.contains('disclosure-floating') ? 'floating' : 'inline';
+
+        button.addEventListener('keydown', onKeydown);
+        button.addEventListener('blur', stop);
     }
 
-    function closeDisclosure(button, content) {
-        button.setAttribute('aria-expanded', 'false');
-        content.hidden = true;
-        
-        // Update button text for inline disclosures
-        if (content.classList.contains('disclosure-inline')) {
-            const buttonText = button.childNodes[0];
-            if (buttonText && buttonText.textContent.includes('Hide')) {
-                buttonText.textContent = buttonText.textContent.replace('Hide', 'Show');
+    // Page navigator: a rotor like the one screen readers use to skim a page by headings, landmarks, links or fields
+    const rotorConfig = {
+        triggerSelector: '[data-aui-rotor]',
+        // In the order Left and Right Arrow move through them; elements are kept when their role is listed
+        categories: [
+            { id: 'headings', selector: 'h1, h2, h3, h4, h5, h6, [role="heading"]', roles: ['heading'] },
+            { id: 'landmarks', selector: 'header, footer, main, nav, aside, section, form, [role]', roles: auditConfig.landmarkRoles },
+            { id: 'links', selector: 'a[href], [role="link"]', roles: ['link'] },
+            {
+                id: 'controls',
+                selector: 'input:not([type="hidden"]), select, textarea, [role]',
+                roles: ['textbox', 'searchbox', 'combobox', 'listbox', 'checkbox', 'radio', 'switch', 'slider', 'spinbutton']
             }
-        }
+        ]
+    };
+
+    const rotor = {
+        dialog: null,
+        // Entries by category id, collected each time the navigator opens
+        entries: {},
+        category: 0,
+        query: '',
+        activeIndex: 0
+    };
+
+    function initRotor() {
+        addShortcut('rotor', {
+            keys: 'Alt+Shift+R',
+            messageKey: 'shortcut-rotor',
+            handler: () => showRotor()
+        });
+
+        document.addEventListener('click', e => {
+            const trigger = e.target.closest(rotorConfig.triggerSelector);
+            if (trigger) showRotor(trigger);
+        });
     }
 
-    function toggleDisclosure(button, content) {
-        const isExpanded = button.getAttribute('aria-expanded') === 'true';
-        
-        if (isExpanded) {
-            closeDisclosure(button, content);
-        } else {
-            openDisclosure(button, content);
+    /**
+     * Open the page navigator, listing what is on the page at that moment
+     * @param {Element} [trigger] - Element to return focus to when it closes without a choice
+     */
+    function showRotor(trigger) {
+        if (!rotor.dialog?.element.isConnected) {
+            rotor.dialog = createRotorDialog();
         }
+        if (rotor.dialog.isOpen()) return;
+
+        // Collected before the dialog opens, while the rest of the page is not yet inert
+        rotor.entries = collectRotorEntries();
+        rotor.query = '';
+        rotor.activeIndex = 0;
+        rotor.dialog.element.querySelector('.rotor-filter').value = '';
+        renderRotorList();
+        rotor.dialog.open(trigger);
     }
 
-    // Dropdown utility functions
-    function toggleDropdown(dropdown, button, submenu) {
-        const isOpen = dropdown.getAttribute('data-open') === 'true';
-        
-        if (isOpen) {
-            closeDropdown(dropdown, button, submenu);
-        } else {
-            openDropdown(dropdown, button, submenu);
-        }
+    // Only what a screen reader would find: nothing hidden, and none of the page's own tool panels
+    function collectRotorEntries() {
+        const entries = {};
+
+        rotorConfig.categories.forEach(category => {
+            entries[category.id] = [...document.querySelectorAll(category.selector)]
+                .filter(element => category.roles.includes(getRole(element)) &&
+                    isAuditable(element) &&
+                    !element.closest('[aria-hidden="true"]') &&
+                    isRendered(element))
+                .map(element => getRotorEntry(element, category))
+                .filter(Boolean);
+        });
+
+        return entries;
     }
 
-    function openDropdown(dropdown, button, submenu) {
-        dropdown.setAttribute('data-open', 'true');
-        button.setAttribute('aria-expanded', 'true');
-        submenu.style.display = 'block';
+    function getRotorEntry(element, category) {
+        const role = getRole(element);
+        const name = getAccessibleName(element);
+
+        if (category.id === 'headings') {
+            // role="heading" without aria-level is level 2
+            const level = Number(element.getAttribute('aria-level') || element.tagName.slice(1)) || 2;
+            return { element, name: name || getMessage('rotor-unnamed'), detail: getMessage('rotor-level', { level }), level };
+        }
+        if (category.id === 'landmarks') {
+            // Forms and regions are only landmarks when they have a name; the others are told apart by role
+            if (!name && ['form', 'region'].includes(role)) return null;
+            return { element, name, detail: getMessage(`role-${role}`) };
+        }
+        return {
+            element,
+            name: name || getMessage('rotor-unnamed'),
+            detail: category.id === 'links' ? '' : getMessage(`role-${role}`)
+        };
     }
 
-    function closeDropdown(dropdown, button, submenu) {
-        dropdown.setAttribute('data-open', 'false');
-        button.setAttribute('aria-expanded', 'false');
-        
-        // Delay hiding to allow for focus transitions
-        setTimeout(() => {
-            if (dropdown.getAttribute('data-open') === 'false') {
-                submenu.style.display = '';
-            }
-        }, 100);
+    function getVisibleRotorEntries() {
+        const category = rotorConfig.categories[rotor.category];
+        const query = rotor.query.trim().toLowerCase();
+
+        return rotor.entries[category.id].filter(entry => `${entry.detail} ${entry.name}`.toLowerCase().includes(query));
     }
 
-    function initTabWidget() {
-        const tablist = document.querySelector('[role="tablist"]');
-        if (!tablist) return;
+    function createRotorDialog() {
+        const dialog = document.createElement('div');
+        dialog.id = 'aui-rotor-dialog';
+        dialog.className = 'modal-overlay rotor-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'aui-rotor-title');
+        // Kept out of its own lists and out of the audit
+        dialog.setAttribute('data-aui-tool', '');
+        dialog.hidden = true;
 
-        const tabs = [...tablist.querySelectorAll('[role="tab"]')];
-        const panels = tabs.map(tab => {
-            const panelId = tab.getAttribute('aria-controls');
-            return document.getElementById(panelId);
-        });
+        const container = document.createElement('div');
+        container.className = 'modal-dialog';
 
-        // Initialize tab states
-        tabs.forEach((tab, index) => {
-            if (tab.getAttribute('aria-selected') === 'true') {
-                tab.tabIndex = 0;
-                panels[index]?.removeAttribute('hidden');
-            } else {
-                tab.setAttribute('aria-selected', 'false');
-                tab.tabIndex = -1;
-                panels[index]?.setAttribute('hidden', '');
-            }
-        });
+        const header = document.createElement('div');
+        header.className = 'modal-header';
+        const title = document.createElement('h2');
+        title.id = 'aui-rotor-title';
+        title.textContent = getMessage('rotor-title');
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'modal-close-button';
+        close.setAttribute('data-aui-dialog-close', '');
+        close.setAttribute('aria-label', getMessage('rotor-close'));
+        close.textContent = '×';
+        header.append(title, close);
 
-        // Handle click events
-        tablist.addEventListener('click', e => {
-            const tab = e.target.closest('[role="tab"]');
-            if (!tab || tab.getAttribute('aria-selected') === 'true') return;
-            switchTab(tab);
+        const body = document.createElement('div');
+        body.className = 'modal-body';
+
+        // Buttons for pointer users; the list switches categories with Left and Right Arrow
+        const categories = document.createElement('div');
+        categories.className = 'rotor-categories';
+        const previous = document.createElement('button');
+        previous.type = 'button';
+        previous.className = 'rotor-step';
+        previous.setAttribute('aria-label', getMessage('rotor-previous'));
+        previous.textContent = '‹';
+        previous.addEventListener('click', () => switchRotorCategory(-1));
+        const category = document.createElement('span');
+        category.id = 'aui-rotor-category';
+        category.className = 'rotor-category';
+        const next = document.createElement('button');
+        next.type = 'button';
+        next.className = 'rotor-step';
+        next.setAttribute('aria-label', getMessage('rotor-next'));
+        next.textContent = '›';
+        next.addEventListener('click', () => switchRotorCategory(1));
+        categories.append(previous, category, next);
+
+        const field = document.createElement('div');
+        field.className = 'form-field';
+        const label = document.createElement('label');
+        label.htmlFor = 'aui-rotor-filter';
+        label.textContent = getMessage('rotor-filter');
+        const filter = document.createElement('input');
+        filter.type = 'search';
+        filter.id = 'aui-rotor-filter';
+        filter.className = 'rotor-filter';
+        filter.autocomplete = 'off';
+        filter.setAttribute('aria-controls', 'aui-rotor-list');
+        field.append(label, filter);
+
+        const hint = document.createElement('p');
+        hint.id = 'aui-rotor-hint';
+        hint.className = 'field-description';
+        hint.textContent = getMessage('rotor-hint');
+
+        const list = document.createElement('ul');
+        list.id = 'aui-rotor-list';
+        list.className = 'rotor-list';
+        list.setAttribute('role', 'listbox');
+        list.setAttribute('aria-labelledby', 'aui-rotor-category');
+        list.setAttribute('aria-describedby', 'aui-rotor-hint');
+        list.setAttribute('data-autofocus', '');
+        list.tabIndex = 0;
+
+        const empty = document.createElement('p');
+        empty.className = 'rotor-empty';
+        empty.textContent = getMessage('rotor-empty');
+
+        filter.addEventListener('input', () => setRotorQuery(filter.value));
+        filter.addEventListener('keydown', e => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                list.focus();
+                setRotorActive(rotor.activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                goToRotorEntry();
+            }
         });
 
-        // Handle keyboard events
-        tablist.addEventListener('keydown', e => {
-            const targetTab = e.target.closest('[role="tab"]');
-            if (!targetTab) return;
+        list.addEventListener('keydown', e => {
+            // Left and Right follow the reading direction
+            const step = isRtl(list) ? -1 : 1;
 
-            let newTab;
             switch (e.key) {
-                case 'ArrowLeft':
-                    newTab = targetTab.previousElementSibling;
-                    if (!newTab && tabs.length > 0) newTab = tabs[tabs.length - 1];
-                    if (newTab) {
-                        e.preventDefault();
-                        // Only move focus, don't activate
-                        newTab.focus();
-                    }
+                case 'ArrowDown':
+                    setRotorActive(rotor.activeIndex + 1);
                     break;
-                case 'ArrowRight':
-                    newTab = targetTab.nextElementSibling;
-                    if (!newTab && tabs.length > 0) newTab = tabs[0];
-                    if (newTab) {
-                        e.preventDefault();
-                        // Only move focus, don't activate
-                        newTab.focus();
-                    }
+                case 'ArrowUp':
+                    setRotorActive(rotor.activeIndex - 1);
                     break;
                 case 'Home':
-                    e.preventDefault();
-                    // Only move focus to first tab
-                    tabs[0].focus();
+                    setRotorActive(0);
                     break;
                 case 'End':
-                    e.preventDefault();
-                    // Only move focus to last tab
-                    tabs[tabs.length - 1].focus();
+                    setRotorActive(getVisibleRotorEntries().length - 1);
+                    break;
+                case 'ArrowRight':
+                    switchRotorCategory(step);
+                    break;
+                case 'ArrowLeft':
+                    switchRotorCategory(-step);
                     break;
                 case 'Enter':
-                case ' ':
-                    e.preventDefault();
-                    // Only switch tabs on Enter or Space if it's not already selected
-                    if (targetTab.getAttribute('aria-selected') !== 'true') {
-                        switchTab(targetTab);
-                    }
+                    goToRotorEntry();
                     break;
+                case 'Backspace':
+                    setRotorQuery(rotor.query.slice(0, -1));
+                    break;
+                default: {
+                    // Typing filters the list, as in a screen reader's elements list
+                    const isCharacter = e.key.length === 1 && !e.ctrlKey && !e.altKey && !e.metaKey;
+                    if (!isCharacter || (e.key === ' ' && !rotor.query)) return;
+                    setRotorQuery(rotor.query + e.key);
+                }
             }
+            e.preventDefault();
         });
 
-        function switchTab(newTab) {
-            // Find the old tab
-            const oldTab = tabs.find(tab => tab.getAttribute('aria-selected') === 'true');
-            
-            if (oldTab !== newTab) {
-                // Update tabs
-                oldTab.setAttribute('aria-selected', 'false');
-                oldTab.tabIndex = -1;
-                
-                newTab.setAttribute('aria-selected', 'true');
-                newTab.tabIndex = 0;
+        list.addEventListener('click', e => {
+            const option = e.target.closest('[role="option"]');
+            if (option) goToRotorEntry([...list.children].indexOf(option));
+        });
 
-                // Update panels
-                const newPanelId = newTab.getAttribute('aria-controls');
-                const oldPanelId = oldTab.getAttribute('aria-controls');
-                
-                document.getElementById(oldPanelId)?.setAttribute('hidden', '');
-                document.getElementById(newPanelId)?.removeAttribute('hidden');
+        body.append(categories, field, hint, list, empty);
+        container.append(header, body);
+        dialog.appendChild(container);
+        document.body.appendChild(dialog);
 
-                // Announce tab switch to screen readers
-                announceMessage(`${newTab.textContent} tab selected`);
+        return createDialog(dialog, {
+            modal: true,
+            trapFocus: true,
+            closeOnOverlayClick: true,
+            initialFocus: ''
+        });
+    }
+
+    // Options for the current category and filter, rebuilt whenever either changes
+    function renderRotorList() {
+        const dialog = rotor.dialog.element;
+        const list = dialog.querySelector('.rotor-list');
+        const entries = getVisibleRotorEntries();
+
+        dialog.querySelector('.rotor-category').textContent =
+            getMessage(`rotor-${rotorConfig.categories[rotor.category].id}`);
+        list.replaceChildren(...entries.map((entry, index) => {
+            const option = document.createElement('li');
+            option.id = `aui-rotor-option-${index}`;
+            option.className = 'rotor-option';
+            option.setAttribute('role', 'option');
+            if (entry.level) {
+                option.style.setProperty('--rotor-indent', entry.level - 1);
             }
-        }
+            if (entry.detail) {
+                const detail = document.createElement('span');
+                detail.className = 'rotor-detail';
+                detail.textContent = entry.detail;
+                option.appendChild(detail);
+            }
+            if (entry.name) {
+                option.append(entry.detail ? ` ${entry.name}` : entry.name);
+            }
+            return option;
+        }));
+        dialog.querySelector('.rotor-empty').hidden = entries.length > 0;
+
+        setRotorActive(rotor.activeIndex);
     }
 
-    function openMobileMenu(toggle, navigation) {
-        navigation.setAttribute('data-open', 'true');
-        toggle.setAttribute('aria-expanded', 'true');
-        toggle.setAttribute('aria-label', 'Close navigation menu');
-        
-        // Focus first navigation link
-        const firstLink = navigation.querySelector('.nav-link, .nav-button');
-        if (firstLink) {
-            setTimeout(() => firstLink.focus(), 100);
+    function setRotorActive(index) {
+        const list = rotor.dialog.element.querySelector('.rotor-list');
+        const options = [...list.children];
+        rotor.activeIndex = Math.max(0, Math.min(index, options.length - 1));
+
+        options.forEach((option, optionIndex) => {
+            option.setAttribute('aria-selected', String(optionIndex === rotor.activeIndex));
+        });
+
+        const active = options[rotor.activeIndex];
+        if (active) {
+            list.setAttribute('aria-activedescendant', active.id);
+            active.scrollIntoView?.({ block: 'nearest' });
+        } else {
+            list.removeAttribute('aria-activedescendant');
         }
     }
 
-    function closeMobileMenu(toggle, navigation) {
-        navigation.setAttribute('data-open', 'false');
-        toggle.setAttribute('aria-expanded', 'false');
-        toggle.setAttribute('aria-label', 'Toggle navigation menu');
+    function switchRotorCategory(step) {
+        const count = rotorConfig.categories.length;
+        rotor.category = (rotor.category + step + count) % count;
+        rotor.activeIndex = 0;
+        renderRotorList();
+        announceRotorCount();
     }
 
-    function focusFirstMenuItem(submenu) {
-        const firstItem = submenu.querySelector('[role="menuitem"]');
-        if (firstItem) {
-            firstItem.focus();
-        }
+    function setRotorQuery(query) {
+        const filter = rotor.dialog.element.querySelector('.rotor-filter');
+        rotor.query = query;
+        if (filter.value !== query) filter.value = query;
+        rotor.activeIndex = 0;
+        renderRotorList();
+        announceRotorCount({ debounce: true });
     }
 
-    function focusLastMenuItem(submenu) {
-        const menuItems = submenu.querySelectorAll('[role="menuitem"]');
-        const lastItem = menuItems[menuItems.length - 1];
-        if (lastItem) {
-            lastItem.focus();
-        }
+    function announceRotorCount(options) {
+        announce(getMessage('rotor-count', {
+            category: getMessage(`rotor-${rotorConfig.categories[rotor.category].id}`),
+            count: getVisibleRotorEntries().length
+        }), options);
     }
 
-    function positionFloatingDisclosure(button, content) {
-        // For centered floating disclosures, CSS handles the positioning
-        // No additional JavaScript positioning needed since we use fixed positioning
-        // This function is kept for consistency and potential future customization
-        
-        // Ensure the content uses the CSS-defined centered positioning
-        if (content.id === 'floating-disclosure-content') {
-            // CSS handles all positioning via fixed positioning and transform
-            // No JavaScript override needed
-        }
+    // Close the navigator and move focus to the chosen element
+    function goToRotorEntry(index = rotor.activeIndex) {
+        const entry = getVisibleRotorEntries()[index];
+        if (!entry) return;
+
+        rotor.dialog.close();
+        if (rotor.dialog.isOpen() || !entry.element.isConnected) return;
+        focusTarget(entry.element);
     }
-    
 
-    function initDisclosureWidgets() {
-        // Initialize all disclosure buttons
-        const disclosureButtons = document.querySelectorAll('.disclosure-button');
-        
-        disclosureButtons.forEach(button => {
-            const contentId = button.getAttribute('aria-controls');
-            const content = document.getElementById(contentId);
-            
-            if (!content) return;
-            
-            // Set initial state
-            const isExpanded = button.getAttribute('aria-expanded') === 'true';
-            content.hidden = !isExpanded;
-            
-            // Handle button click
-            button.addEventListener('click', function() {
-                toggleDisclosure(button, content);
-            });
-            
-            // Handle keyboard navigation
-            button.addEventListener('keydown', function(e) {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    toggleDisclosure(button, content);
-                }
-            });
-        });
-        
-        // Close floating disclosures when clicking outside
-        document.addEventListener('click', function(e) {
-            const floatingDisclosures = document.querySelectorAll('.disclosure-floating:not([hidden])');
-            
-            floatingDisclosures.forEach(disclosure => {
-                const triggerButton = document.querySelector(`[aria-controls="${disclosure.id}"]`);
-                
-                if (triggerButton && 
-                    !triggerButton.contains(e.target) && 
-                    !disclosure.contains(e.target)) {
-                    closeDisclosure(triggerButton, disclosure);
-                }
-            });
-        });
-        
-        // Handle Escape key for floating disclosures
+    function initFocusManagement() {
+        // Ensure focus is visible during keyboard navigation
         document.addEventListener('keydown', function(e) {
-            if (e.key === 'Escape') {
-                const openFloatingDisclosures = document.querySelectorAll('.disclosure-floating:not([hidden])');
-                
-                openFloatingDisclosures.forEach(disclosure => {
-                    const triggerButton = document.querySelector(`[aria-controls="${disclosure.id}"]`);
-                    if (triggerButton) {
-                        closeDisclosure(triggerButton, disclosure);
-                        triggerButton.focus();
-                    }
-                });
+            if (e.key === 'Tab') {
+                document.body.classList.add('keyboard-navigation');
             }
         });
+
+        document.addEventListener('mousedown', function() {
+            document.body.classList.remove('keyboard-navigation');
+        });
+    }
+
+    // Form validation module
+    function initFormValidation(root = document) {
+        queryAll(root, selectors.form).forEach(form => {
+            createFormValidator(form, readOptions(form, {
+                validateOnBlur: true,
+                errorSummary: true,
+                summaryHeadingLevel: 0,
+                encoding: 'urlencoded'
+            }));
+        });
+    }
+
+    /**
+     * Register a named validator for fields marked data-aui-validate="<name>"
+     * @param {string} name - Validator name; several can be listed space-separated on a field
+     * @param {Function} validator - (value, field, form) => true | error message, or a Promise of either
+     */
+    function addValidator(name, validator) {
+        customValidators.set(name, validator);
     }
 
-    function initMobileMenu() {
-        const mobileToggle = document.querySelector('.mobile-menu-toggle');
-        const navigation = document.querySelector('.global-navigation');
+    /**
+     * Rules come from native constraint attributes (required, type, pattern, minlength, maxlength,
+     * min, max), data-aui-match="<field id>" for cross-field checks and data-aui-validate for
+     * registered validators. Messages can be overridden per field with data-aui-message-<rule>.
+     * @param {HTMLFormElement} form - Form to validate and POST to its action on submit
+     * @param {Object} options
+     * @param {boolean} options.validateOnBlur - Validate each field as it loses focus
+     * @param {boolean} options.errorSummary - List errors as links at the top of the form on submit
+     * @param {number} options.summaryHeadingLevel - Level of the summary's heading; 0 for one below the heading the form sits under
+     * @param {string} options.encoding - 'urlencoded' or 'json' body for the POST to the form's action
+     */
+    function createFormValidator(form, options) {
+        if (instances.has(form)) return instances.get(form);
 
-        if (!mobileToggle || !navigation) return;
+        const listeners = createListenerGroup();
+        let isSubmitting = false;
 
-        mobileToggle.addEventListener('click', function() {
-            const isOpen = navigation.getAttribute('data-open') === 'true';
-            
-            if (isOpen) {
-                closeMobileMenu(mobileToggle, navigation);
-            } else {
-                openMobileMenu(mobileToggle, navigation);
+        // Validation configuration
+        const config = {
+            errorClass: 'error',
+            activeClass: 'active',
+            delay: 100 // Delay for screen reader announcements
+        };
+
+        const typePatterns = {
+            email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+            url: /^https?:\/\/[^\s/$.?#].[^\s]*$/i,
+            number: /^-?\d*\.?\d+$/
+        };
+
+        // Every validatable control, with radio groups collapsed to their first radio and
+        // custom radio groups represented by the hidden input holding their value
+        function getFields() {
+            const seenGroups = new Set();
+            return [...form.elements].filter(element => {
+                if (!element.matches('input, select, textarea') || element.disabled) return false;
+                if (element.type === 'hidden') return Boolean(getCustomRadioGroup(element));
+                if (['submit', 'button', 'reset', 'image'].includes(element.type)) return false;
+                if (element.type === 'radio') {
+                    if (seenGroups.has(element.name)) return false;
+                    seenGroups.add(element.name);
+                }
+                return true;
+            });
+        }
+
+        function getRadioGroup(field) {
+            return [...form.elements].filter(element => element.type === 'radio' && element.name === field.name);
+        }
+
+        function getCustomRadioGroup(field) {
+            return field.type === 'hidden' ? field.closest('[role="radiogroup"]') : null;
+        }
+
+        // Controls that carry aria-invalid: every radio of a native group, or the custom group itself
+        function getInvalidControls(field) {
+            if (field.type === 'radio') return getRadioGroup(field);
+            return [getCustomRadioGroup(field) || field];
+        }
+
+        // Radio groups report errors on their fieldset or radiogroup; everything else on itself
+        function getErrorTarget(field) {
+            const customGroup = getCustomRadioGroup(field);
+            if (customGroup) {
+                if (!customGroup.id) customGroup.id = `${form.id || 'form'}-${field.name}-group`;
+                return customGroup;
             }
-        });
+            if (field.type !== 'radio') return field;
 
-        // Close mobile menu when pressing Escape
-        document.addEventListener('keydown', function(e) {
-            if (e.key === 'Escape' && navigation.getAttribute('data-open') === 'true') {
-                closeMobileMenu(mobileToggle, navigation);
-                mobileToggle.focus();
+            const fieldset = field.closest('fieldset');
+            if (fieldset && !fieldset.id) {
+                fieldset.id = `${form.id || 'form'}-${field.name}-group`;
             }
-        });
+            return fieldset || field;
+        }
+
+        function getFieldLabel(field) {
+            const customGroup = getCustomRadioGroup(field);
+            if (customGroup) return getAccessibleName(customGroup).replace(/\s*\*$/, '');
 
-        // Handle window resize to close mobile menu if switching to desktop view
-        window.addEventListener('resize', function() {
-            if (window.innerWidth > 768 && navigation.getAttribute('data-open') === 'true') {
-                closeMobileMenu(mobileToggle, navigation);
+            if (field.type === 'radio') {
+                const legend = field.closest('fieldset')?.querySelector('legend');
+                if (legend) return getLabelText(legend);
             }
-        });
-    }
 
-    function initKeyboardNavigation() {
-        // Handle Enter and Space key activation for buttons and links
-        document.addEventListener('keydown', function(e) {
-            if (e.key === 'Enter' || e.key === ' ') {
-                const target = e.target;
-                
-                if (target.matches('button') && e.key === ' ') {
-                    e.preventDefault();
-                    target.click();
-                }
-                
-                if (target.matches('a[role="menuitem"]') && e.key === ' ') {
-                    e.preventDefault();
-                    target.click();
+            const label = field.id ? form.querySelector(`label[for="${field.id}"]`) : null;
+            return (label ? getLabelText(label) : field.getAttribute('aria-label') || field.name)
+                .replace(/\s*\*$/, '');
+        }
+
+        // Rule messages come from the catalog under the rule's name, with {label} and {value} filled in per field
+        function formatMessage(field, rule, value) {
+            const values = { label: getFieldLabel(field), value: value ?? '' };
+
+            // A field's own required message also covers the choice and checkbox variants
+            if (rule.startsWith('required-') && !field.hasAttribute(`data-aui-message-${rule}`) &&
+                field.hasAttribute('data-aui-message-required')) {
+                return getMessage('required', values, field);
+            }
+            return getMessage(rule, values, field);
+        }
+
+        // Synchronous constraint checks; returns an error message or ''
+        function getConstraintError(field) {
+            const customGroup = getCustomRadioGroup(field);
+            if (customGroup) {
+                return customGroup.getAttribute('aria-required') === 'true' && !field.value
+                    ? formatMessage(field, 'required-choice')
+                    : '';
+            }
+
+            if (field.type === 'radio') {
+                const group = getRadioGroup(field);
+                const isRequired = group.some(radio => radio.required);
+                return isRequired && !group.some(radio => radio.checked)
+                    ? formatMessage(field, 'required-choice')
+                    : '';
+            }
+
+            if (field.type === 'checkbox') {
+                return field.required && !field.checked ? formatMessage(field, 'required-check') : '';
+            }
+
+            const value = field.value.trim();
+            if (!value) {
+                return field.required ? formatMessage(field, 'required') : '';
+            }
+
+            // Optional fields are only checked once something has been entered
+            if (typePatterns[field.type] && !typePatterns[field.type].test(value)) {
+                return formatMessage(field, field.hasAttribute('data-aui-message-type') ? 'type' : field.type);
+            }
+
+            const pattern = field.getAttribute('pattern');
+            if (pattern) {
+                try {
+                    if (!new RegExp(`^(?:${pattern})$`).test(value)) {
+                        return formatMessage(field, 'pattern');
+                    }
+                } catch (error) {
+                    // An invalid pattern is ignored, as browsers do
                 }
             }
-        });
-    }
 
-    function initFocusManagement() {
-        // Ensure focus is visible during keyboard navigation
-        document.addEventListener('keydown', function(e) {
-            if (e.key === 'Tab') {
-                document.body.classList.add('keyboard-navigation');
+            const minLength = Number(field.getAttribute('minlength'));
+            if (minLength && value.length < minLength) {
+                return formatMessage(field, 'minlength', minLength);
+            }
+
+            const maxLength = Number(field.getAttribute('maxlength'));
+            if (maxLength && value.length > maxLength) {
+                return formatMessage(field, 'maxlength', maxLength);
+            }
+
+            const min = field.getAttribute('min');
+            const max = field.getAttribute('max');
+            if (min !== null && compareValues(field, value, min) < 0) {
+                return formatMessage(field, 'min', min);
+            }
+            if (max !== null && compareValues(field, value, max) > 0) {
+                return formatMessage(field, 'max', max);
             }
-        });
 
-        document.addEventListener('mousedown', function() {
-            document.body.classList.remove('keyboard-navigation');
-        });
-    }
+            const matchId = field.getAttribute('data-aui-match');
+            const matchField = matchId ? document.getElementById(matchId) : null;
+            if (matchField && value !== matchField.value.trim()) {
+                return formatMessage(field, 'match', getFieldLabel(matchField));
+            }
 
-    // Form validation module
-    function initFormValidation() {
-        const demoForm = document.getElementById('demo-form');
-        if (!demoForm) return;
+            return '';
+        }
 
-        const inputs = demoForm.querySelectorAll('input[required]');
+        // Dates and times compare as ISO strings; everything else numerically
+        function compareValues(field, value, limit) {
+            if (['date', 'time', 'datetime-local', 'month', 'week'].includes(field.type)) {
+                return value.localeCompare(limit);
+            }
+            return Number(value) - Number(limit);
+        }
 
-        // Validation configuration
-        const config = {
-            errorClass: 'error',
-            activeClass: 'active',
-            delay: 100 // Delay for screen reader announcements
+        // Registered validators run after the native constraints pass
+        async function getCustomError(field) {
+            const names = (field.getAttribute('data-aui-validate') || '').split(/\s+/).filter(Boolean);
+            if (!field.value.trim()) return '';
 
-        };
+            for (const name of names) {
+                const validator = customValidators.get(name);
+                if (!validator) continue;
 
-        // Validation rules with patterns and messages
-        const validationRules = {
-            name: {
-                pattern: /^[a-zA-Z\s'-]{2,}$/,
-                message: 'Please enter a valid name with at least 2 characters, using letters, hyphens, or apostrophes',
-                required: 'Name is required'
-            },
-            email: {
-                pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-                message: 'Please enter a valid email address',
-                required: 'Email address is required'
-            },
-            password: {
-                pattern: /.{8,}/,
-                message: 'Password must be at least 8 characters long',
-                required: false // Password is optional
+                let result;
+                try {
+                    result = await validator(field.value.trim(), field, form);
+                } catch (error) {
+                    // A validator that throws or rejects, like a lookup service that is down, must not stop the form
+                    return formatMessage(field, 'validator-failed');
+                }
+                if (result !== true && result !== undefined) {
+                    return typeof result === 'string' ? result : formatMessage(field, 'pattern');
+                }
             }
-        };
+            return '';
+        }
 
         function showError(input, message) {
-            const errorId = `${input.id}-error`;
+            const target = getErrorTarget(input);
+            const errorId = `${target.id}-error`;
             let errorElement = document.getElementById(errorId);
-            const demoForm = document.getElementById('demo-form');
             
             // Create error element if it doesn't exist
             if (!errorElement) {
@@ -593,26 +6336,31 @@ const AccessibleUI = (function() {
                 errorElement.id = errorId;
                 errorElement.className = 'error-message';
                 
-                // Insert error element after the input
-                input.parentNode.insertBefore(errorElement, input.nextSibling);
+                // Insert error element after the input, at the end of a radio group,
+                // or below a checkbox and its label
+                if (target.tagName === 'FIELDSET') {
+                    target.appendChild(errorElement);
+                } else {
+                    const anchor = target.type === 'checkbox' && target.parentNode !== form ? target.parentNode : target;
+                    anchor.parentNode.insertBefore(errorElement, anchor.nextSibling);
+                }
             }
             
             // Update error message and styles
             errorElement.textContent = message;
-            errorElement.classList.add('active');
-            input.setAttribute('aria-invalid', 'true');
+            errorElement.classList.add(config.activeClass);
+            target.classList.add(config.errorClass);
+            getInvalidControls(input).forEach(control => {
+                control.setAttribute('aria-invalid', 'true');
+            });
             
             // Ensure error message is associated with the input
-            const currentDescribedBy = input.getAttribute('aria-describedby') || '';
-            const descriptors = currentDescribedBy.split(' ');
-            if (!descriptors.includes(errorId)) {
-                descriptors.push(errorId);
-                input.setAttribute('aria-describedby', descriptors.join(' '));
-            }
+            updateDescribedBy(target, errorId, true);
         }
 
         function clearError(input) {
-            const errorId = `${input.id}-error`;
+            const target = getErrorTarget(input);
+            const errorId = `${target.id}-error`;
             const errorElement = document.getElementById(errorId);
             
             if (!errorElement) return;
@@ -622,182 +6370,831 @@ const AccessibleUI = (function() {
             errorElement.classList.remove(config.activeClass);
             
             // Update input state
-            input.setAttribute('aria-invalid', 'false');
-            input.classList.remove(config.errorClass);
+            getInvalidControls(input).forEach(control => {
+                control.setAttribute('aria-invalid', 'false');
+            });
+            target.classList.remove(config.errorClass);
             
             // Update aria-describedby
-            updateDescribedBy(input, errorId, false);
+            updateDescribedBy(target, errorId, false);
         }
 
         // Helper function to update aria-describedby
         function updateDescribedBy(input, errorId, add) {
             const currentDescribedBy = input.getAttribute('aria-describedby') || '';
-            const descriptors = currentDescribedBy.split(' ').filter(d => d !== errorId);
+            const descriptors = currentDescribedBy.split(' ').filter(d => d && d !== errorId);
             
-            if (add) descriptors.push(errorId);
-            input.setAttribute('aria-describedby', descriptors.join(' '));
+            if (add && !hasDefect('no-error-describedby')) descriptors.push(errorId);
+            if (descriptors.length) {
+                input.setAttribute('aria-describedby', descriptors.join(' '));
+            } else {
+                input.removeAttribute('aria-describedby');
+            }
         }
 
-        function validateInput(input) {
-            const value = input.value.trim();
-            const rule = validationRules[input.name];
+        /**
+         * Validate one field and update its inline error
+         * @returns {Promise<string>} The error message, or '' when valid
+         */
+        async function validateInput(input) {
+            const value = input.value;
+            const message = getConstraintError(input) || await getCustomError(input);
 
-            if (!rule) return true; // Skip validation if no rule exists
+            // Ignore async results for a value the user has since changed
+            if (input.value !== value) return message;
 
-            if (!value) {
-                showError(input, rule.required);
-                return false;
+            if (message) {
+                showError(input, message);
+            } else {
+                clearError(input);
             }
+            return message;
+        }
 
-            if (!rule.pattern.test(value)) {
-                showError(input, rule.message);
-                return false;
+        // Function to validate all inputs and return their errors in document order
+        async function validateAllInputs() {
+            const fields = getFields();
+            const messages = await Promise.all(fields.map(validateInput));
+            return fields
+                .map((field, index) => ({ field, message: messages[index] }))
+                .filter(result => result.message);
+        }
+
+        // Re-check fields that must match this one once they have been validated
+        function revalidateDependents(input) {
+            form.querySelectorAll(`[data-aui-match="${input.id}"][aria-invalid]`).forEach(validateInput);
+        }
+
+        function getSummary() {
+            return document.getElementById(`${form.id}-error-summary`);
+        }
+
+        function clearSummary() {
+            getSummary()?.remove();
+        }
+
+        // Error summary at the top of the form, each error linking to its field
+        function showSummary(errors) {
+            clearSummary();
+
+            const summary = document.createElement('div');
+            summary.id = `${form.id}-error-summary`;
+            summary.className = 'error-summary';
+            summary.tabIndex = -1;
+            summary.setAttribute('aria-labelledby', `${summary.id}-title`);
+
+            const title = document.createElement(`h${getSummaryHeadingLevel()}`);
+            title.id = `${summary.id}-title`;
+            title.className = 'error-summary-title';
+            title.textContent = getMessage('error-summary', { count: errors.length }, form);
+
+            const list = document.createElement('ul');
+            errors.forEach(({ field, message }) => {
+                const item = document.createElement('li');
+                const link = document.createElement('a');
+                link.href = `#${getCustomRadioGroup(field) ? getErrorTarget(field).id : field.id}`;
+                link.textContent = message;
+                link.addEventListener('click', e => {
+                    e.preventDefault();
+                    focusField(field);
+                });
+                item.appendChild(link);
+                list.appendChild(item);
+            });
+
+            summary.append(title, list);
+            form.insertBefore(summary, form.firstChild);
+            return summary;
+        }
+
+        // One level below the last heading before the form, so the summary's heading doesn't skip a level
+        function getSummaryHeadingLevel() {
+            if (options.summaryHeadingLevel) return Math.min(Math.max(options.summaryHeadingLevel, 1), 6);
+
+            const previous = [...document.querySelectorAll('h1, h2, h3, h4, h5, h6')]
+                .filter(heading => heading.compareDocumentPosition(form) & Node.DOCUMENT_POSITION_FOLLOWING)
+                .pop();
+            return previous ? Math.min(Number(previous.tagName.slice(1)) + 1, 6) : 2;
+        }
+
+        // Focus a field, preferring the checked radio in a group or a custom group's tab stop, and bring its label into view
+        function focusField(field) {
+            const customGroup = getCustomRadioGroup(field);
+            if (customGroup) {
+                const tabStop = customGroup.querySelector('[role="radio"][tabindex="0"]') || customGroup.querySelector('[role="radio"]');
+                tabStop?.focus();
+                customGroup.scrollIntoView?.({ block: 'center' });
+                return;
             }
 
-            clearError(input);
-            return true;
+            const target = field.type === 'radio'
+                ? getRadioGroup(field).find(radio => radio.checked) || field
+                : field;
+            target.focus();
+            (form.querySelector(`label[for="${target.id}"]`) || target).scrollIntoView?.({ block: 'center' });
         }
 
-        // Function to validate all inputs and return the first invalid one
-        function validateAllInputs() {
-            let firstInvalid = null;
-            inputs.forEach(input => {
-                if (!validateInput(input) && !firstInvalid) {
-                    firstInvalid = input;
+        // Add blur event listeners for validation
+        if (options.validateOnBlur) {
+            listeners.add(form, 'focusout', e => {
+                const field = e.target;
+                if (!field.matches('input, select, textarea') || ['checkbox', 'radio'].includes(field.type)) return;
+                validateInput(field);
+                revalidateDependents(field);
+            });
+
+            // Choices are validated as soon as they change
+            listeners.add(form, 'change', e => {
+                if (e.target.matches('select, [type="checkbox"], [type="radio"]')) {
+                    validateInput(e.target);
                 }
             });
-            return firstInvalid;
+
+            // Custom radio groups report their changes with the widget event instead
+            listeners.add(form, `${EVENT_PREFIX}change`, e => {
+                const input = e.target.matches('[role="radiogroup"]') && e.target.querySelector('input[type="hidden"]');
+                if (input) validateInput(input);
+            });
         }
 
-        // Function to focus the first invalid input
-        function focusFirstInvalid(input) {
-            if (input) {
-                setTimeout(() => {
-                    input.focus();
-                }, 100);
+        // Status region shown while the request is pending; focusable so it can hold focus while the submit button is disabled
+        function getStatusRegion() {
+            let status = document.getElementById(`${form.id}-status`);
+
+            if (!status) {
+                status = document.createElement('div');
+                status.id = `${form.id}-status`;
+                status.className = 'form-status';
+                status.tabIndex = -1;
+                form.insertBefore(status, form.firstChild);
             }
+            return status;
         }
 
-        // Add blur event listeners for validation
-        inputs.forEach(input => {
-            input.addEventListener('blur', () => validateInput(input))
-        });
+        function showPending(message) {
+            const status = getStatusRegion();
+            status.className = 'form-status pending';
+            status.textContent = message;
 
-        // Initialize form submission handling
-        if (demoForm) {
-            demoForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                
-                // Clear any existing submission error messages
-                const formStatus = document.querySelector('.form-status');
-                if (formStatus) formStatus.remove();
-                
-                // Validate all inputs
-                const firstInvalid = validateAllInputs();
-
-                if (firstInvalid) {
-                    // Create a status message for screen readers
-                    const formError = document.createElement('div');
-                    formError.className = 'form-status error';
-                    formError.textContent = 'Please correct the errors in the form before submitting.';
-                    
-                    // Insert status message at the top of the form
-                    demoForm.insertBefore(formError, demoForm.firstChild);
-                    
-                    // Focus the first invalid input
-                    setTimeout(() => {
-                        firstInvalid.focus();
-                        formError.textContent = `Form has errors. ${formError.textContent}`;
-                    }, 100);
+            // Focus first so that disabling or removing the focused control never drops focus
+            status.focus();
+            return status;
+        }
+
+        // Results go to the notifications; focus returns to where the user submitted from before the status goes
+        function showResult(severity, message, { retry = false, returnTo } = {}) {
+            const submitButton = form.querySelector('button[type="submit"], input[type="submit"]');
+            const target = returnTo?.isConnected && !returnTo.disabled ? returnTo : submitButton;
+            if (document.getElementById(`${form.id}-status`)?.contains(document.activeElement)) target?.focus();
+            clearStatus();
+
+            notify(message, {
+                severity,
+                actions: retry ? [{ label: getMessage('form-retry', {}, form), onClick: () => submitForm(returnTo) }] : []
+            });
+        }
+
+        function clearStatus() {
+            document.getElementById(`${form.id}-status`)?.remove();
+        }
+
+        function setPending(pending) {
+            isSubmitting = pending;
+            form.setAttribute('aria-busy', String(pending));
+            form.querySelectorAll('button[type="submit"], input[type="submit"]').forEach(button => {
+                button.disabled = pending;
+            });
+        }
+
+        function buildRequestBody() {
+            const formData = new FormData(form);
+
+            if (options.encoding !== 'json') {
+                return {
+                    body: new URLSearchParams(formData),
+                    contentType: 'application/x-www-form-urlencoded;charset=UTF-8'
+                };
+            }
+
+            // Repeated names (checkbox groups) become arrays
+            const data = {};
+            formData.forEach((value, name) => {
+                if (!(name in data)) {
+                    data[name] = value;
                 } else {
-                    // Form is valid
-                    const successMessage = document.createElement('div');
-                    successMessage.className = 'form-status success';
-                    successMessage.setAttribute('aria-live', 'polite');
-                    successMessage.textContent = 'Form submitted successfully!';
-                    
-                    demoForm.insertBefore(successMessage, demoForm.firstChild);
-                    demoForm.reset();
-                    
-                    // Clear any remaining error states
-                    inputs.forEach(clearError);
-                    
-                    // Focus the success message for screen readers
-                    setTimeout(() => successMessage.focus(), 100);
+                    data[name] = [].concat(data[name], value);
                 }
             });
+            return { body: JSON.stringify(data), contentType: 'application/json' };
+        }
+
+        /**
+         * Server errors may be { errors: { fieldName: message } } or
+         * { errors: [{ field, message }] }; unknown field names are dropped
+         */
+        function getServerErrors(result) {
+            const entries = Array.isArray(result?.errors)
+                ? result.errors.map(error => [error.field, error.message])
+                : Object.entries(result?.errors || {});
+            const fields = getFields();
+
+            return entries
+                .map(([name, message]) => ({
+                    field: fields.find(field => field.name === name || field.id === name),
+                    message: Array.isArray(message) ? message[0] : message
+                }))
+                .filter(error => error.field && error.message);
+        }
+
+        /**
+         * @param {Element} [returnTo] - Where focus goes once the result is in; a retry passes the
+         *     original one, since the toast's Retry button is gone by then
+         */
+        async function submitForm(returnTo = document.activeElement) {
+            if (isSubmitting) return;
+
+            const { body, contentType } = buildRequestBody();
+            if (!dispatchWidgetEvent(form, 'beforesubmit', { body }, true)) return;
+
+            clearSummary();
+            showPending(getMessage('form-pending', {}, form));
+            setPending(true);
+
+            let response;
+            let result = null;
+            try {
+                response = await fetch(form.action, {
+                    method: (form.getAttribute('method') || 'post').toUpperCase(),
+                    headers: { 'Content-Type': contentType, Accept: 'application/json' },
+                    body
+                });
+                result = await response.json().catch(() => null);
+            } catch (error) {
+                // Network failure: nothing reached the server, so the same data can be sent again
+                setPending(false);
+                showResult('error', getMessage('form-network-error', {}, form), { retry: true, returnTo });
+                dispatchWidgetEvent(form, 'submiterror', { error });
+                return;
+            }
+
+            setPending(false);
+
+            if (response.ok) {
+                form.reset();
+                
+                // Clear any remaining error states
+                getFields().forEach(clearError);
+                
+                showResult('success', result?.message || getMessage('form-success', {}, form), { returnTo });
+                dispatchWidgetEvent(form, 'submit', { response, result });
+                return;
+            }
+
+            const errors = getServerErrors(result);
+            if (errors.length) {
+                errors.forEach(({ field, message }) => showError(field, message));
+                reportErrors(errors);
+                dispatchWidgetEvent(form, 'invalid', { errors, firstInvalid: errors[0].field, response });
+                return;
+            }
+
+            showResult('error', result?.message || getMessage('form-server-error', { status: response.status }, form), {
+                retry: response.status >= 500,
+                returnTo
+            });
+            dispatchWidgetEvent(form, 'submiterror', { response, result });
+        }
+
+        // The status region is swapped out in the same task as the focus move, so focus is never lost
+        function reportErrors(errors) {
+            if (options.errorSummary) {
+                // Focus moves to the summary, which reads its heading and links
+                const summary = showSummary(errors);
+                setTimeout(() => {
+                    summary.focus();
+                    clearStatus();
+                }, config.delay);
+            } else {
+                setTimeout(() => {
+                    focusField(errors[0].field);
+                    clearStatus();
+                    announce(getMessage('form-errors', { message: errors[0].message }, form), { politeness: 'assertive' });
+                }, config.delay);
+            }
+        }
+
+        // Initialize form submission handling
+        listeners.add(form, 'submit', async (e) => {
+            e.preventDefault();
+            if (isSubmitting) return;
+            
+            // Clear any existing submission messages
+            clearStatus();
+            clearSummary();
+            
+            // Validate all inputs
+            const errors = await validateAllInputs();
+
+            if (errors.length) {
+                reportErrors(errors);
+                dispatchWidgetEvent(form, 'invalid', { errors, firstInvalid: errors[0].field });
+            } else {
+                submitForm();
+            }
+        });
+
+        function resetForm() {
+            form.reset();
+            getFields().forEach(clearError);
+            clearSummary();
+            clearStatus();
         }
+
+        function destroy() {
+            listeners.removeAll();
+            unregisterInstance(form);
+        }
+
+        return registerInstance(form, {
+            type: 'form',
+            element: form,
+            options,
+            get controls() {
+                return getFields();
+            },
+            // Resolves to true when every field passes
+            validate: async () => (await validateAllInputs()).length === 0,
+            validateField: async field => !(await validateInput(field)),
+            // Sends the form without validating it first
+            submit: submitForm,
+            reset: resetForm,
+            destroy
+        });
+    }
+
+    function initDropdownMenus(root = document) {
+        queryAll(root, selectors.menuButton).forEach(dropdownButton => {
+            const submenu = document.getElementById(dropdownButton.getAttribute('aria-controls'));
+            if (!submenu) return;
+
+            createMenuButton(dropdownButton, submenu, readOptions(dropdownButton, {
+                closeOnOutsideClick: true,
+                openOnHover: false,
+                hoverDelay: 300,
+                typeaheadTimeout: 500
+            }));
+        });
     }
 
-    function initDropdownMenu() {
-        const dropdownButton = document.querySelector(selectors.dropdownButton);
-        const submenu = document.querySelector(selectors.submenu);
-        const dropdown = dropdownButton?.closest('.nav-dropdown');
+    /**
+     * Menu button following the APG pattern, including nested flyout submenus.
+     * Flyouts are menuitems with aria-haspopup="menu" and aria-controls pointing at a nested role="menu".
+     * @param {Element} dropdownButton - Button with aria-haspopup and aria-controls
+     * @param {Element} submenu - Element with role="menu"
+     * @param {Object} options
+     * @param {boolean} options.closeOnOutsideClick - Close when clicking outside the button and menu
+     * @param {boolean} options.openOnHover - Open menus and flyouts when the pointer rests on them
+     * @param {number} options.hoverDelay - Delay in ms before a hover-opened menu closes
+     * @param {number} options.typeaheadTimeout - Time in ms before type-ahead characters reset
+     */
+    function createMenuButton(dropdownButton, submenu, options) {
+        if (instances.has(dropdownButton)) return instances.get(dropdownButton);
+
+        const dropdown = dropdownButton.closest('.nav-dropdown') || dropdownButton.parentElement;
+        const listeners = createListenerGroup();
+        const typeahead = { buffer: '', timer: null };
+        let hoverTimer = null;
+        // 'menu', or 'disclosure' when the navigation shows it as an expandable list
+        let mode = 'menu';
+
+        // An open menu closes on Escape even when focus is elsewhere, such as after opening on hover
+        const layer = {
+            element: submenu,
+            onEscape: () => {
+                const focusWasInside = dropdown.contains(document.activeElement);
+                closeMenu(submenu);
+                if (focusWasInside) returnFocus(dropdownButton);
+            }
+        };
+
+        // Flyout owners are recorded up front so the structure survives switching modes
+        const flyouts = new Map(
+            [...submenu.querySelectorAll('[aria-haspopup="menu"][aria-controls]')]
+                .map(item => [item, document.getElementById(item.getAttribute('aria-controls'))])
+                .filter(([, flyout]) => flyout)
+        );
+        const menus = [submenu, ...flyouts.values()];
+        const popupValues = new Map([dropdownButton, ...flyouts.keys()]
+            .map(button => [button, button.getAttribute('aria-haspopup') || 'true']));
+
+        // Menu items are reached with the arrow keys, not Tab
+        submenu.querySelectorAll('[role="menuitem"]').forEach(item => {
+            item.tabIndex = -1;
+        });
+
+        function getFlyout(item) {
+            return flyouts.get(item) || null;
+        }
+
+        // The menu an item or flyout button sits in
+        function getParentMenu(element) {
+            let node = element.parentElement;
+            while (node && !menus.includes(node)) {
+                node = node.parentElement;
+            }
+            return node;
+        }
+
+        // Flyouts opened directly from this menu
+        function getChildFlyouts(menu) {
+            return [...flyouts].filter(([item]) => getParentMenu(item) === menu).map(([, flyout]) => flyout);
+        }
+
+        // The button or menuitem that owns a menu, and the element carrying its data-open state
+        function getOwner(menu) {
+            if (menu === submenu) {
+                return { button: dropdownButton, container: dropdown };
+            }
+            const button = [...flyouts].find(([, flyout]) => flyout === menu)[0];
+            return { button, container: button.parentElement };
+        }
+
+        /**
+         * @param {Element} menu - The top-level menu or one of its flyouts
+         * @param {string} [focus] - 'first' or 'last' to move focus into the menu
+         */
+        function openMenu(menu, focus) {
+            const { button, container } = getOwner(menu);
+
+            if (button.getAttribute('aria-expanded') !== 'true') {
+                const detail = { instance: instances.get(dropdownButton), menu };
+                if (!dispatchWidgetEvent(button, 'beforeopen', detail, true)) return;
+
+                // Only one flyout per level stays open
+                if (menu !== submenu) {
+                    getChildFlyouts(getParentMenu(button))
+                        .filter(flyout => flyout !== menu)
+                        .forEach(closeMenu);
+                }
+
+                openDropdown(container, button, menu);
+                if (menu === submenu && mode === 'menu') {
+                    addKeyboardLayer(layer);
+                    announce(getMessage('menu-expanded', { label: getLabelText(dropdownButton) }, dropdownButton), { debounce: true });
+                }
+
+                dispatchWidgetEvent(button, 'open', detail);
+            }
+
+            if (focus === 'first') {
+                focusFirstMenuItem(menu);
+            } else if (focus === 'last') {
+                focusLastMenuItem(menu);
+            }
+        }
+
+        function closeMenu(menu) {
+            const { button, container } = getOwner(menu);
+            // Outside clicks call this on every page click; only announce real state changes
+            if (button.getAttribute('aria-expanded') !== 'true') return;
+
+            const detail = { instance: instances.get(dropdownButton), menu };
+            if (!dispatchWidgetEvent(button, 'beforeclose', detail, true)) return;
+
+            // Close nested flyouts first
+            getChildFlyouts(menu).forEach(closeMenu);
 
-        if (!dropdownButton || !submenu || !dropdown) return;
+            closeDropdown(container, button, menu);
+            if (menu === submenu) {
+                removeKeyboardLayer(layer);
+            }
+            if (menu === submenu && mode === 'menu') {
+                announce(getMessage('menu-collapsed', { label: getLabelText(dropdownButton) }, dropdownButton), { debounce: true });
+            }
+
+            dispatchWidgetEvent(button, 'close', detail);
+        }
 
         function handleDropdownClick(e) {
             e.preventDefault();
-            toggleDropdown();
+            if (dropdownButton.getAttribute('aria-expanded') === 'true') {
+                closeMenu(submenu);
+            } else {
+                // A disclosure reveals its list without moving focus
+                openMenu(submenu, mode === 'menu' ? 'first' : undefined);
+            }
+        }
+
+        function handleButtonKeyboard(e) {
+            if (mode === 'disclosure' && e.key !== 'Escape') return;
+
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    openMenu(submenu, 'first');
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    openMenu(submenu, 'last');
+                    break;
+                case 'Escape':
+                    if (dropdownButton.getAttribute('aria-expanded') === 'true') {
+                        e.preventDefault();
+                        closeMenu(submenu);
+                    }
+                    break;
+            }
         }
 
         function handleDropdownKeyboard(e) {
-            const menuItems = [...submenu.querySelectorAll('[role="menuitem"]')];
-            const currentIndex = menuItems.indexOf(document.activeElement);
+            if (mode === 'disclosure') {
+                handleDisclosureKeyboard(e);
+                return;
+            }
+
+            const item = e.target.closest('[role="menuitem"]');
+            if (!item) return;
+
+            const menu = item.closest('[role="menu"]');
+            const menuItems = getMenuItems(menu);
+            const currentIndex = menuItems.indexOf(item);
+            const flyout = getFlyout(item);
+            // Flyouts open toward the end of the line, so the keys swap under dir="rtl"
+            const rtl = isRtl(menu);
+            const openKey = rtl ? 'ArrowLeft' : 'ArrowRight';
+            const closeKey = rtl ? 'ArrowRight' : 'ArrowLeft';
 
-            switch(e.key) {
+            switch (e.key) {
                 case 'ArrowDown':
                     e.preventDefault();
                     menuItems[(currentIndex + 1) % menuItems.length]?.focus();
                     break;
-                case 'ArrowUp':
+                case 'ArrowUp': {
                     e.preventDefault();
                     const prevIndex = currentIndex <= 0 ? menuItems.length - 1 : currentIndex - 1;
                     menuItems[prevIndex]?.focus();
                     break;
+                }
+                case 'Home':
+                    e.preventDefault();
+                    focusFirstMenuItem(menu);
+                    break;
+                case 'End':
+                    e.preventDefault();
+                    focusLastMenuItem(menu);
+                    break;
+                case openKey:
+                    if (flyout) {
+                        e.preventDefault();
+                        openMenu(flyout, 'first');
+                    }
+                    break;
+                case closeKey:
+                    if (menu !== submenu) {
+                        e.preventDefault();
+                        closeMenu(menu);
+                        returnFocus(getOwner(menu).button);
+                    }
+                    break;
                 case 'Escape':
                     e.preventDefault();
-                    closeDropdown();
-                    dropdownButton.focus();
+                    // Escape backs out one level at a time
+                    closeMenu(menu);
+                    returnFocus(getOwner(menu).button);
+                    break;
+                case 'Tab':
+                    // Let focus move on naturally, but leave nothing open behind it
+                    closeMenu(submenu);
                     break;
+                case ' ':
+                    // Links only activate on Enter by themselves; buttons already click on Space
+                    if (!item.matches('button')) {
+                        e.preventDefault();
+                        item.click();
+                    }
+                    break;
+                default:
+                    if (e.key.length === 1 && e.key.trim() && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                        e.preventDefault();
+                        focusByCharacter(menuItems, currentIndex, e.key);
+                    }
+            }
+        }
+
+        // As an expandable list, Escape collapses the innermost open list around focus
+        function handleDisclosureKeyboard(e) {
+            if (e.key !== 'Escape') return;
+
+            // An expanded flyout button collapses its own list first
+            const flyout = getFlyout(e.target);
+            const menu = flyout && e.target.getAttribute('aria-expanded') === 'true'
+                ? flyout
+                : getParentMenu(e.target);
+            if (!menu) return;
+
+            e.preventDefault();
+            closeMenu(menu);
+            returnFocus(getOwner(menu).button);
+        }
+
+        // Type-ahead: focus the next item whose label starts with the typed characters
+        function focusByCharacter(menuItems, currentIndex, character) {
+            clearTimeout(typeahead.timer);
+            typeahead.buffer += character.toLowerCase();
+            typeahead.timer = setTimeout(() => {
+                typeahead.buffer = '';
+            }, options.typeaheadTimeout);
+
+            // Repeating one character cycles through items with that initial
+            const isRepeat = [...typeahead.buffer].every(char => char === typeahead.buffer[0]);
+            const search = isRepeat ? typeahead.buffer[0] : typeahead.buffer;
+            const startIndex = isRepeat || typeahead.buffer.length === 1 ? currentIndex + 1 : currentIndex;
+
+            for (let offset = 0; offset < menuItems.length; offset++) {
+                const candidate = menuItems[(startIndex + offset) % menuItems.length];
+                if (getLabelText(candidate).toLowerCase().startsWith(search)) {
+                    candidate.focus();
+                    return;
+                }
+            }
+        }
+
+        function handleMenuClick(e) {
+            const item = e.target.closest('a, button');
+            if (!item || !submenu.contains(item)) return;
+
+            const flyout = getFlyout(item);
+            if (flyout) {
+                e.preventDefault();
+                if (item.getAttribute('aria-expanded') === 'true') {
+                    closeMenu(flyout);
+                } else {
+                    openMenu(flyout, mode === 'menu' ? 'first' : undefined);
+                }
+                return;
+            }
+
+            // Activating an item closes the whole menu
+            closeMenu(submenu);
+            if (mode === 'menu' && item.getAttribute('href')?.startsWith('#')) {
+                returnFocus(dropdownButton);
+            }
+        }
+
+        function handleFocusOut(e) {
+            // relatedTarget is null for clicks on the page; the outside click handler covers those
+            if (mode === 'menu' && e.relatedTarget && !dropdown.contains(e.relatedTarget)) {
+                closeMenu(submenu);
             }
         }
 
-        function toggleDropdown() {
-            const isExpanded = dropdownButton.getAttribute('aria-expanded') === 'true';
-            if (isExpanded) {
-                closeDropdown();
+        function handlePointerEnter(e) {
+            if (mode !== 'menu') return;
+            clearTimeout(hoverTimer);
+
+            const item = e.target.closest?.('[role="menuitem"]');
+            if (!item || !submenu.contains(item)) {
+                openMenu(submenu);
+                return;
+            }
+
+            // Resting on an item opens its flyout and closes its siblings'
+            const flyout = getFlyout(item);
+            if (flyout) {
+                openMenu(flyout);
             } else {
-                openDropdown();
+                getChildFlyouts(getParentMenu(item)).forEach(closeMenu);
             }
         }
 
-        function openDropdown() {
-            dropdownButton.setAttribute('aria-expanded', 'true');
-            submenu.style.display = 'block';
-            const firstMenuItem = submenu.querySelector('[role="menuitem"]');
-            firstMenuItem?.focus();
+        function handlePointerLeave() {
+            if (mode !== 'menu') return;
+            clearTimeout(hoverTimer);
+            hoverTimer = setTimeout(() => {
+                // Keyboard users inside the menu keep it open
+                if (!dropdown.contains(document.activeElement)) {
+                    closeMenu(submenu);
+                }
+            }, options.hoverDelay);
+        }
+
+        /**
+         * Switch between an APG menu and a disclosure-style expandable list. As a list, the
+         * menu roles are removed, every link is in the Tab order and nothing moves focus.
+         * @param {string} newMode - 'menu' or 'disclosure'
+         */
+        function setMode(newMode) {
+            if (newMode === mode) return;
+
+            closeMenu(submenu);
+            mode = newMode;
+
+            // Roles are parked in data-aui-role so they can be put back
+            const roleElements = [...submenu.querySelectorAll('[role], [data-aui-role]'), submenu];
+
+            if (mode === 'disclosure') {
+                roleElements.filter(element => element.hasAttribute('role')).forEach(element => {
+                    element.setAttribute('data-aui-role', element.getAttribute('role'));
+                    element.removeAttribute('role');
+                });
+                popupValues.forEach((value, button) => button.removeAttribute('aria-haspopup'));
+                submenu.querySelectorAll('[data-aui-role="menuitem"]').forEach(item => item.removeAttribute('tabindex'));
+            } else {
+                roleElements.filter(element => element.hasAttribute('data-aui-role')).forEach(element => {
+                    element.setAttribute('role', element.getAttribute('data-aui-role'));
+                    element.removeAttribute('data-aui-role');
+                });
+                popupValues.forEach((value, button) => button.setAttribute('aria-haspopup', value));
+                submenu.querySelectorAll('[role="menuitem"]').forEach(item => {
+                    item.tabIndex = -1;
+                });
+            }
         }
 
-        function closeDropdown() {
-            dropdownButton.setAttribute('aria-expanded', 'false');
-            submenu.style.display = '';
+        function destroy() {
+            clearTimeout(hoverTimer);
+            clearTimeout(typeahead.timer);
+            setMode('menu');
+            closeMenu(submenu);
+            listeners.removeAll();
+            removeKeyboardLayer(layer);
+            unregisterInstance(dropdownButton);
         }
 
         // Event listeners
-        dropdownButton.addEventListener('click', handleDropdownClick);
-        submenu.addEventListener('keydown', handleDropdownKeyboard);
+        listeners.add(dropdownButton, 'click', handleDropdownClick);
+        listeners.add(dropdownButton, 'keydown', handleButtonKeyboard);
+        listeners.add(submenu, 'keydown', handleDropdownKeyboard);
+        listeners.add(submenu, 'click', handleMenuClick);
+        listeners.add(dropdown, 'focusout', handleFocusOut);
+
+        if (options.openOnHover) {
+            listeners.add(dropdown, 'pointerenter', handlePointerEnter);
+            listeners.add(submenu, 'pointerover', handlePointerEnter);
+            listeners.add(dropdown, 'pointerleave', handlePointerLeave);
+        }
         
         // Close on outside click
-        document.addEventListener('click', (e) => {
-            if (!dropdown.contains(e.target)) {
-                closeDropdown();
+        listeners.add(document, 'click', (e) => {
+            if (options.closeOnOutsideClick && !dropdown.contains(e.target)) {
+                closeMenu(submenu);
             }
         });
+
+        return registerInstance(dropdownButton, {
+            type: 'menu',
+            element: dropdownButton,
+            options,
+            controls: [submenu],
+            // focus: 'first', 'last' or false to open without moving focus
+            open: (focus = 'first') => openMenu(submenu, focus),
+            close: () => closeMenu(submenu),
+            toggle: () => (dropdownButton.getAttribute('aria-expanded') === 'true'
+                ? closeMenu(submenu)
+                : openMenu(submenu, 'first')),
+            isOpen: () => dropdownButton.getAttribute('aria-expanded') === 'true',
+            setMode,
+            getMode: () => mode,
+            destroy
+        });
     }
 
     // Return public API
-    return { init };
+    return {
+        init,
+        announce,
+        clearAnnouncements,
+        notify,
+        dismissNotification,
+        addShortcut,
+        removeShortcut,
+        setShortcut,
+        getShortcuts,
+        showShortcuts,
+        showRotor,
+        addValidator,
+        getMessage,
+        addMessages,
+        setDefect,
+        getDefects,
+        getPreference,
+        getPreferences,
+        setPreference,
+        resetPreferences,
+        showInspector,
+        hideInspector,
+        startLesson,
+        stopLesson,
+        audit: runAudit,
+        showAuditReport,
+        startRecording,
+        stopRecording,
+        replay,
+        get: getInstance,
+        getAll: getInstances,
+        scan,
+        destroy: destroyWidgets
+    };
 })();
 
 // Initialize the accessibility features